@@ -12,4 +12,38 @@ public class CrawlRequest
 {
     public List<Company> Companies { get; set; } = new();
     public string ConnectionId { get; set; } = "";
+    // Optional overrides of the saved data collection settings for this crawl only
+    public CrawlOptions? Options { get; set; }
+}
+
+// Per-crawl overrides; anything left null falls back to the saved DataCollectionConfiguration
+public class CrawlOptions
+{
+    // A subset of form types to crawl instead of the configured ones
+    public List<string>? FormTypes { get; set; }
+    // Report date range; a missing FromDate means the configured years of data
+    public DateTime? FromDate { get; set; }
+    public DateTime? ToDate { get; set; }
+    // Only the newest filings of each company, after the other filters
+    public int? MaxFilingsPerCompany { get; set; }
+
+    public bool HasOverrides => FormTypes?.Count > 0 || FromDate.HasValue || ToDate.HasValue || MaxFilingsPerCompany.HasValue;
+
+    // Returns why the options cannot be used, or null when they are valid
+    public string? ValidationError()
+    {
+        if (FromDate.HasValue && ToDate.HasValue && FromDate > ToDate)
+        {
+            return "fromDate must not be after toDate";
+        }
+        if (MaxFilingsPerCompany <= 0)
+        {
+            return "maxFilingsPerCompany must be at least 1";
+        }
+        if (FormTypes?.Any(string.IsNullOrWhiteSpace) == true)
+        {
+            return "formTypes must not contain empty values";
+        }
+        return null;
+    }
 }
@@ -178,6 +178,8 @@ var staticServiceLogger = loggerFactory.CreateLogger("ApiGraphActivator.Services
 EdgarService.InitializeLogger(staticServiceLogger);
 ConnectionService.InitializeLogger(staticServiceLogger);
 PdfProcessingService.InitializeLogger(staticServiceLogger);
+CrawlJobService.InitializeLogger(staticServiceLogger);
+CrawlPreviewService.InitializeLogger(staticServiceLogger);
 
 // Initialize storage service for EdgarService
 var storageConfigService = app.Services.GetRequiredService<StorageConfigurationService>();
@@ -283,6 +285,15 @@ app.MapPost("/loadcontent", async (HttpContext context, BackgroundTaskQueue task
                 return;
             }
 
+            var optionsError = crawlRequest.Options?.ValidationError();
+            if (optionsError != null)
+            {
+                staticServiceLogger.LogWarning("Invalid crawl options: {Error}", optionsError);
+                context.Response.StatusCode = StatusCodes.Status400BadRequest;
+                await context.Response.WriteAsync(optionsError);
+                return;
+            }
+
             var targetConnectionId = crawlRequest.ConnectionId;
             
             staticServiceLogger.LogInformation("Target connection ID: {ConnectionId}", targetConnectionId ?? "default");
@@ -292,17 +303,14 @@ app.MapPost("/loadcontent", async (HttpContext context, BackgroundTaskQueue task
             
             staticServiceLogger.LogInformation("Queueing background task for crawl");
             
-            // Queue the long-running task with selected companies
-            await taskQueue.QueueBackgroundWorkItemAsync(async token =>
-            {
-                staticServiceLogger.LogInformation("Background task started for {CompanyCount} companies in connection {ConnectionId}", 
-                    crawlRequest.Companies.Count, targetConnectionId ?? "default");
-                await ContentService.LoadContentForCompanies(crawlRequest.Companies, targetConnectionId);
-                staticServiceLogger.LogInformation("Background task completed for {CompanyCount} companies in connection {ConnectionId}", 
-                    crawlRequest.Companies.Count, targetConnectionId ?? "default");
-            });
+            // Queue the long-running task with selected companies as a crawl job
+            var job = await CrawlJobService.EnqueueAsync(taskQueue, CrawlJobType.Crawl, crawlRequest.Companies, targetConnectionId, crawlRequest.Options);
             
-            staticServiceLogger.LogInformation("Background task queued successfully");
+            staticServiceLogger.LogInformation("Background task queued successfully as job {JobId}", job.Id);
+
+            // Return the job handle immediately
+            context.Response.StatusCode = StatusCodes.Status202Accepted;
+            await context.Response.WriteAsJsonAsync(new { message = "Crawl started successfully", jobId = job.Id, job });
         }
         else
         {
@@ -310,12 +318,7 @@ app.MapPost("/loadcontent", async (HttpContext context, BackgroundTaskQueue task
             staticServiceLogger.LogWarning("No companies specified in crawl request");
             context.Response.StatusCode = StatusCodes.Status400BadRequest;
             await context.Response.WriteAsync("No companies specified for crawl. Please select companies to crawl or use the /recrawl-all endpoint for previously crawled companies.");
-            return;
         }
-
-        // Return a response immediately
-        context.Response.StatusCode = StatusCodes.Status202Accepted;
-        await context.Response.WriteAsync("Crawl started successfully");
     }
     catch (Exception ex)
     {
@@ -376,21 +379,14 @@ app.MapPost("/recrawl-all", async (HttpContext context, BackgroundTaskQueue task
         staticServiceLogger.LogInformation("Starting recrawl for {CompanyCount} previously crawled companies in connection {ConnectionId}", 
             config.Companies.Count, connectionId ?? "default");
         
-        // Queue the background task with previously crawled companies
-        await taskQueue.QueueBackgroundWorkItemAsync(async token =>
-        {
-            staticServiceLogger.LogInformation("Background recrawl task started for {CompanyCount} companies in connection {ConnectionId}", 
-                config.Companies.Count, connectionId ?? "default");
-            await ContentService.LoadContentForCompanies(config.Companies, connectionId);
-            staticServiceLogger.LogInformation("Background recrawl task completed for {CompanyCount} companies in connection {ConnectionId}", 
-                config.Companies.Count, connectionId ?? "default");
-        });
+        // Queue the background task with previously crawled companies as a recrawl job
+        var job = await CrawlJobService.EnqueueAsync(taskQueue, CrawlJobType.Recrawl, config.Companies, connectionId);
         
-        staticServiceLogger.LogInformation("Background recrawl task queued successfully");
+        staticServiceLogger.LogInformation("Background recrawl task queued successfully as job {JobId}", job.Id);
         
-        // Return a response immediately
+        // Return the job handle immediately
         context.Response.StatusCode = StatusCodes.Status202Accepted;
-        await context.Response.WriteAsync($"Recrawl started successfully for {config.Companies.Count} companies");
+        await context.Response.WriteAsJsonAsync(new { message = $"Recrawl started successfully for {config.Companies.Count} companies", jobId = job.Id, job });
     }
     catch (Exception ex)
     {
@@ -661,7 +657,9 @@ app.MapGet("/crawl-status", async (StorageConfigurationService storageConfigServ
             SuccessRate = overallMetrics.SuccessRate,
             LastProcessedDate = overallMetrics.LastProcessedDate,
             StorageType = storageService.GetStorageType(),
-            IsHealthy = await storageService.IsHealthyAsync()
+            IsHealthy = await storageService.IsHealthyAsync(),
+            // Live progress of the running (or last) crawl; null if none ran since the server started
+            Progress = CrawlProgressService.GetSnapshot()
         };
         
         return Results.Ok(status);
@@ -675,6 +673,34 @@ app.MapGet("/crawl-status", async (StorageConfigurationService storageConfigServ
 .WithName("GetCrawlStatus")
 .WithOpenApi();
 
+// Server-sent events stream of crawl progress: a "progress" event with the current snapshot, then one after every change
+app.MapGet("/crawl-status/events", async (HttpContext context) =>
+{
+    context.Response.Headers.ContentType = "text/event-stream";
+    // no-transform keeps compressing proxies, such as the frontend's dev server proxy, from buffering the stream
+    context.Response.Headers.CacheControl = "no-cache, no-transform";
+    // Stop nginx from buffering the stream
+    context.Response.Headers["X-Accel-Buffering"] = "no";
+
+    var jsonOptions = new JsonSerializerOptions(JsonSerializerDefaults.Web);
+    try
+    {
+        await context.Response.WriteAsync("retry: 5000\n\n", context.RequestAborted);
+        await foreach (var progress in CrawlProgressService.WatchAsync(context.RequestAborted))
+        {
+            var data = JsonSerializer.Serialize(progress, jsonOptions);
+            await context.Response.WriteAsync($"event: progress\ndata: {data}\n\n", context.RequestAborted);
+            await context.Response.Body.FlushAsync(context.RequestAborted);
+        }
+    }
+    catch (OperationCanceledException)
+    {
+        // The client disconnected
+    }
+})
+.WithName("CrawlStatusEvents")
+.WithOpenApi();
+
 // Data Collection Configuration endpoints
 app.MapGet("/data-collection-config", async (HttpContext context) =>
 {
@@ -920,31 +946,25 @@ app.MapPost("/loadcontent-to-connection", async (HttpContext context, Background
             return Results.BadRequest("Connection ID is required");
         }
 
+        var optionsError = request.Options?.ValidationError();
+        if (optionsError != null)
+        {
+            staticServiceLogger.LogWarning("Invalid crawl options in loadcontent-to-connection request: {Error}", optionsError);
+            return Results.BadRequest(optionsError);
+        }
+
         staticServiceLogger.LogInformation("Queuing content loading for {CompanyCount} companies to connection: {ConnectionId}", 
             request.Companies.Count, request.ConnectionId);
         
-        // Queue the work item
-        await taskQueue.QueueBackgroundWorkItemAsync(async token =>
-        {
-            staticServiceLogger.LogInformation("Starting background content loading for {CompanyCount} companies to connection: {ConnectionId}", 
-                request.Companies.Count, request.ConnectionId);
-            
-            try
-            {
-                await ContentService.LoadContentForCompanies(request.Companies, request.ConnectionId);
-                staticServiceLogger.LogInformation("Successfully completed content loading for {CompanyCount} companies to connection: {ConnectionId}", 
-                    request.Companies.Count, request.ConnectionId);
-            }
-            catch (Exception ex)
-            {
-                staticServiceLogger.LogError(ex, "Error in background content loading task for connection: {ConnectionId}", request.ConnectionId);
-            }
-        });
+        // Queue the work item as a crawl job
+        var job = await CrawlJobService.EnqueueAsync(taskQueue, CrawlJobType.Crawl, request.Companies, request.ConnectionId, request.Options);
         
         return Results.Ok(new { 
             message = "Content loading started in background", 
             companyCount = request.Companies.Count,
-            connectionId = request.ConnectionId 
+            connectionId = request.ConnectionId,
+            jobId = job.Id,
+            job
         });
     }
     catch (Exception ex)
@@ -956,6 +976,91 @@ app.MapPost("/loadcontent-to-connection", async (HttpContext context, Background
 .WithName("LoadContentToConnection")
 .WithOpenApi();
 
+// Dry run of a crawl: which filings the selected companies would fetch with the current data collection settings or the request's overrides
+app.MapPost("/crawl-preview", async (CrawlRequest request, HttpContext context) =>
+{
+    try
+    {
+        if (request.Companies == null || !request.Companies.Any())
+        {
+            return Results.BadRequest("At least one company must be provided");
+        }
+
+        var optionsError = request.Options?.ValidationError();
+        if (optionsError != null)
+        {
+            return Results.BadRequest(optionsError);
+        }
+
+        staticServiceLogger.LogInformation("Previewing crawl for {CompanyCount} companies in connection {ConnectionId}",
+            request.Companies.Count, string.IsNullOrWhiteSpace(request.ConnectionId) ? "default" : request.ConnectionId);
+        var connectionId = string.IsNullOrWhiteSpace(request.ConnectionId) ? null : request.ConnectionId;
+        var preview = await CrawlPreviewService.PreviewAsync(request.Companies, connectionId, request.Options, context.RequestAborted);
+        return Results.Ok(preview);
+    }
+    catch (OperationCanceledException) when (context.RequestAborted.IsCancellationRequested)
+    {
+        // The client disconnected
+        return Results.Empty;
+    }
+    catch (Exception ex)
+    {
+        staticServiceLogger.LogError(ex, "Error previewing crawl");
+        return Results.Problem($"Error previewing crawl: {ex.Message}");
+    }
+})
+.WithName("PreviewCrawl")
+.WithOpenApi();
+
+// Crawl job endpoints: every crawl started above is a job that can be followed and controlled
+app.MapGet("/crawl-jobs", () => Results.Ok(CrawlJobService.GetJobs()))
+.WithName("GetCrawlJobs")
+.WithOpenApi();
+
+app.MapGet("/crawl-jobs/{jobId}", (string jobId) =>
+{
+    var job = CrawlJobService.GetJob(jobId);
+    return job == null ? Results.NotFound($"Crawl job {jobId} not found") : Results.Ok(job);
+})
+.WithName("GetCrawlJob")
+.WithOpenApi();
+
+app.MapPost("/crawl-jobs/{jobId}/{action}", async (string jobId, string action, BackgroundTaskQueue taskQueue) =>
+{
+    try
+    {
+        staticServiceLogger.LogInformation("Crawl job {JobId}: {Action} requested", jobId, action);
+        if (action == "retry-failed")
+        {
+            var retry = await CrawlJobService.RetryFailedAsync(taskQueue, jobId);
+            return Results.Accepted($"/crawl-jobs/{retry.Id}", retry);
+        }
+        return action switch
+        {
+            "cancel" => Results.Ok(CrawlJobService.Cancel(jobId)),
+            "pause" => Results.Ok(CrawlJobService.Pause(jobId)),
+            "resume" => Results.Ok(CrawlJobService.Resume(jobId)),
+            _ => Results.BadRequest($"Unknown crawl job action: {action}. Use cancel, pause, resume or retry-failed")
+        };
+    }
+    catch (KeyNotFoundException ex)
+    {
+        return Results.NotFound(ex.Message);
+    }
+    catch (InvalidOperationException ex)
+    {
+        // The job is not in a state that allows the action
+        return Results.Conflict(ex.Message);
+    }
+    catch (Exception ex)
+    {
+        staticServiceLogger.LogError(ex, "Error running {Action} on crawl job {JobId}", action, jobId);
+        return Results.Problem($"Error running {action} on crawl job {jobId}: {ex.Message}");
+    }
+})
+.WithName("ControlCrawlJob")
+.WithOpenApi();
+
 // Add MCP Server endpoint
 app.MapPost("/mcp", async (MCPRequest request, MCPServerService mcpService) =>
 {
@@ -164,6 +164,44 @@ public class AzureStorageService : ICrawlStorageService
         }
     }
 
+    public async Task<List<DocumentInfo>> GetCompanyDocumentsAsync(string companyName, string? connectionId = null)
+    {
+        if (_tableClient == null)
+        {
+            _logger.LogWarning("Azure Table Storage not initialized. Returning empty list.");
+            return new List<DocumentInfo>();
+        }
+
+        try
+        {
+            string filter = $"CompanyName eq '{companyName.Replace("'", "''")}'";
+            if (!string.IsNullOrWhiteSpace(connectionId))
+            {
+                filter += $" and ConnectionId eq '{connectionId.Replace("'", "''")}'";
+            }
+            var results = await Task.Run(() => _tableClient.Query<TableEntity>(filter).ToList());
+
+            return results.Select(entity => new DocumentInfo
+            {
+                Id = entity.RowKey,
+                CompanyName = entity.GetString("CompanyName") ?? "",
+                Form = entity.GetString("Form") ?? "",
+                FilingDate = DateTime.Parse(entity.GetString("FilingDate") ?? DateTime.MinValue.ToString()),
+                Url = entity.GetString("Url") ?? "",
+                Processed = entity.GetBoolean("Processed") ?? false,
+                ProcessedDate = entity.ContainsKey("ProcessedDate") ? entity.GetDateTimeOffset("ProcessedDate")?.DateTime : null,
+                Success = entity.GetBoolean("Success") ?? true,
+                ErrorMessage = entity.GetString("ErrorMessage"),
+                ConnectionId = entity.GetString("ConnectionId") ?? ""
+            }).ToList();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get documents for company: {Company}", companyName);
+            return new List<DocumentInfo>();
+        }
+    }
+
     public async Task<CrawlMetrics> GetCrawlMetricsAsync(string? companyName = null, string? connectionId = null)
     {
         if (_tableClient == null)
@@ -226,7 +226,7 @@ static class ContentService
   }
 
   // Define a public asynchronous static method named LoadContentForCompanies
-  public static async Task LoadContentForCompanies(List<Company> companies, string? connectionId = null)
+  public static async Task LoadContentForCompanies(List<Company> companies, string? connectionId = null, CrawlJob? job = null)
   {
     // Require connectionId - do not process if null
     if (string.IsNullOrEmpty(connectionId))
@@ -238,7 +238,7 @@ static class ContentService
     logger.LogInformation("Starting content extraction for {CompanyCount} companies using connection: {ConnectionId}", companies.Count, connectionId);
     
     // Extract content for specific companies
-    await ExtractForCompanies(companies, connectionId);
+    await ExtractForCompanies(companies, connectionId, job);
 
     // // Iterate over each item in the content list and transform it
     // foreach (var item in content)
@@ -253,13 +253,13 @@ static class ContentService
   }
 
   // Define an asynchronous static method named ExtractForCompanies
-  async static Task ExtractForCompanies(List<Company> companies, string? connectionId = null)
+  async static Task ExtractForCompanies(List<Company> companies, string? connectionId = null, CrawlJob? job = null)
   {
     logger.LogInformation("Extracting data for selected companies: {Companies} using connection: {ConnectionId}", 
       string.Join(", ", companies.Select(c => c.Ticker)), connectionId ?? "null");
     
     // Pass the selected companies to EdgarService for processing
-    content = await EdgarService.HydrateLookupDataForCompanies(companies, connectionId);
+    content = await EdgarService.HydrateLookupDataForCompanies(companies, connectionId, job);
     
     logger.LogInformation("Extracted {ItemCount} items for selected companies using connection: {ConnectionId}", content?.Count ?? 0, connectionId ?? "null");
   }
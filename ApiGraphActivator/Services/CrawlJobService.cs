@@ -0,0 +1,348 @@
+using Microsoft.Extensions.Logging;
+
+namespace ApiGraphActivator.Services;
+
+// Crawls queued on the BackgroundTaskQueue as jobs with an id, so they can be listed, cancelled, paused,
+// resumed and have their failed documents retried. Jobs are kept in memory and lost on restart.
+public static class CrawlJobService
+{
+    private const int MaxFinishedJobs = 50;
+
+    private static readonly object _lock = new();
+    // Newest first
+    private static readonly List<CrawlJob> _jobs = new();
+    private static ILogger? _logger;
+
+    public static void InitializeLogger(ILogger logger)
+    {
+        _logger = logger;
+    }
+
+    // options overrides the saved data collection settings for this job only
+    public static async Task<CrawlJob> EnqueueAsync(BackgroundTaskQueue taskQueue, string type, List<Company> companies, string? connectionId,
+        CrawlOptions? options = null)
+    {
+        var job = new CrawlJob
+        {
+            Id = Guid.NewGuid().ToString("N"),
+            Type = type,
+            ConnectionId = connectionId,
+            Companies = companies,
+            Options = options?.HasOverrides == true ? options : null,
+            CreatedAt = DateTime.UtcNow
+        };
+        return await EnqueueAsync(taskQueue, job);
+    }
+
+    private static async Task<CrawlJob> EnqueueAsync(BackgroundTaskQueue taskQueue, CrawlJob job)
+    {
+        lock (_lock)
+        {
+            _jobs.Insert(0, job);
+            PruneFinishedJobs();
+        }
+
+        await taskQueue.QueueBackgroundWorkItemAsync(token => RunAsync(job, token));
+        _logger?.LogInformation("Queued {JobType} job {JobId} for {CompanyCount} companies in connection {ConnectionId}",
+            job.Type, job.Id, job.Companies.Count, job.ConnectionId);
+        return Snapshot(job);
+    }
+
+    public static List<CrawlJob> GetJobs()
+    {
+        lock (_lock)
+        {
+            return _jobs.Select(Snapshot).ToList();
+        }
+    }
+
+    public static CrawlJob? GetJob(string jobId)
+    {
+        lock (_lock)
+        {
+            var job = Find(jobId);
+            return job == null ? null : Snapshot(job);
+        }
+    }
+
+    // A queued job is cancelled straight away; a running one stops at its next company or document
+    public static CrawlJob Cancel(string jobId)
+    {
+        lock (_lock)
+        {
+            var job = FindOrThrow(jobId);
+            if (job.IsFinished)
+            {
+                throw new InvalidOperationException($"Job {jobId} has already finished ({job.Status})");
+            }
+
+            job.Cancellation.Cancel();
+            if (job.Status == CrawlJobStatus.Queued)
+            {
+                Finish(job, CrawlJobStatus.Cancelled, null);
+            }
+            else
+            {
+                job.Status = CrawlJobStatus.Cancelling;
+            }
+            _logger?.LogInformation("Cancellation requested for crawl job {JobId}", jobId);
+            return Snapshot(job);
+        }
+    }
+
+    // The crawl finishes the document it is on, then waits until the job is resumed or cancelled
+    public static CrawlJob Pause(string jobId)
+    {
+        lock (_lock)
+        {
+            var job = FindOrThrow(jobId);
+            if (job.Status != CrawlJobStatus.Running)
+            {
+                throw new InvalidOperationException($"Only running jobs can be paused; job {jobId} is {job.Status}");
+            }
+
+            job.ResumeSignal = new TaskCompletionSource(TaskCreationOptions.RunContinuationsAsynchronously);
+            job.Status = CrawlJobStatus.Paused;
+            CrawlProgressService.SetPaused(job.Id, true);
+            _logger?.LogInformation("Crawl job {JobId} paused", jobId);
+            return Snapshot(job);
+        }
+    }
+
+    public static CrawlJob Resume(string jobId)
+    {
+        lock (_lock)
+        {
+            var job = FindOrThrow(jobId);
+            if (job.Status != CrawlJobStatus.Paused)
+            {
+                throw new InvalidOperationException($"Only paused jobs can be resumed; job {jobId} is {job.Status}");
+            }
+
+            job.ResumeSignal?.TrySetResult();
+            job.ResumeSignal = null;
+            job.Status = CrawlJobStatus.Running;
+            CrawlProgressService.SetPaused(job.Id, false);
+            _logger?.LogInformation("Crawl job {JobId} resumed", jobId);
+            return Snapshot(job);
+        }
+    }
+
+    // Queues a new job that re-runs only the documents that failed in a finished job
+    public static async Task<CrawlJob> RetryFailedAsync(BackgroundTaskQueue taskQueue, string jobId)
+    {
+        CrawlJob retry;
+        lock (_lock)
+        {
+            var job = FindOrThrow(jobId);
+            if (!job.IsFinished)
+            {
+                throw new InvalidOperationException($"Job {jobId} is still {job.Status}; failed documents can be retried once it finishes");
+            }
+            if (job.FailedDocumentList.Count == 0)
+            {
+                throw new InvalidOperationException($"Job {jobId} has no failed documents to retry");
+            }
+
+            var failedCompanies = job.FailedDocumentList
+                .Select(d => d.CompanyName)
+                .ToHashSet(StringComparer.OrdinalIgnoreCase);
+            retry = new CrawlJob
+            {
+                Id = Guid.NewGuid().ToString("N"),
+                Type = CrawlJobType.Retry,
+                ConnectionId = job.ConnectionId,
+                Options = job.Options,
+                Companies = job.Companies.Where(c => failedCompanies.Contains(c.Title.Trim())).ToList(),
+                CreatedAt = DateTime.UtcNow,
+                RetryOfJobId = job.Id,
+                RetryDocuments = job.FailedDocumentList.ToList(),
+                RetryUrls = job.FailedDocumentList.Select(d => d.Url).ToHashSet()
+            };
+        }
+        return await EnqueueAsync(taskQueue, retry);
+    }
+
+    // Called by the crawl between companies and documents: throws once the job is cancelled and waits while it is paused
+    public static async Task CheckpointAsync(CrawlJob? job)
+    {
+        if (job == null)
+        {
+            return;
+        }
+
+        job.Cancellation.Token.ThrowIfCancellationRequested();
+        Task? resumed;
+        lock (_lock)
+        {
+            resumed = job.ResumeSignal?.Task;
+        }
+        if (resumed != null)
+        {
+            await resumed.WaitAsync(job.Cancellation.Token).ConfigureAwait(false);
+        }
+    }
+
+    private static async Task RunAsync(CrawlJob job, CancellationToken stoppingToken)
+    {
+        lock (_lock)
+        {
+            // Cancelled while it was queued
+            if (job.IsFinished)
+            {
+                return;
+            }
+            job.Status = CrawlJobStatus.Running;
+            job.StartedAt = DateTime.UtcNow;
+        }
+
+        using var shutdown = stoppingToken.Register(() => job.Cancellation.Cancel());
+        _logger?.LogInformation("Crawl job {JobId} started for {CompanyCount} companies in connection {ConnectionId}",
+            job.Id, job.Companies.Count, job.ConnectionId);
+
+        try
+        {
+            // Resolved when the job starts, so it uses the settings saved by then
+            job.Filter = await DataCollectionConfigurationService.ResolveCrawlFilterAsync(job.Options);
+            if (job.RetryDocuments.Count > 0)
+            {
+                await EdgarService.RequeueDocumentsAsync(job.RetryDocuments, job.ConnectionId, job.Filter.FormTypes);
+            }
+            await ContentService.LoadContentForCompanies(job.Companies, job.ConnectionId, job);
+
+            // The crawl reports its own failures through the progress tracker rather than throwing
+            var progress = CrawlProgressService.GetSnapshot();
+            lock (_lock)
+            {
+                if (progress?.CrawlId == job.Id && progress.Status == CrawlProgressStatus.Failed)
+                {
+                    Finish(job, CrawlJobStatus.Failed, progress.ErrorMessage);
+                }
+                else
+                {
+                    Finish(job, CrawlJobStatus.Completed, null);
+                }
+            }
+        }
+        // Timeouts throw OperationCanceledException too; they fail the job like any other error
+        catch (OperationCanceledException) when (job.Cancellation.IsCancellationRequested)
+        {
+            lock (_lock)
+            {
+                Finish(job, CrawlJobStatus.Cancelled, null);
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger?.LogError(ex, "Crawl job {JobId} failed", job.Id);
+            lock (_lock)
+            {
+                Finish(job, CrawlJobStatus.Failed, ex.Message);
+            }
+        }
+
+        _logger?.LogInformation("Crawl job {JobId} {Status}: {Successful} documents processed, {Failed} failed",
+            job.Id, job.Status, job.SuccessfulDocuments, job.FailedDocuments);
+    }
+
+    // Records the final state, including the document counts and failures from the progress tracker
+    private static void Finish(CrawlJob job, string status, string? errorMessage)
+    {
+        var progress = CrawlProgressService.GetSnapshot();
+        if (progress?.CrawlId == job.Id)
+        {
+            job.SuccessfulDocuments = progress.SuccessfulDocuments;
+            job.FailedDocuments = progress.FailedDocuments;
+            job.FailedDocumentList = CrawlProgressService.GetFailedDocuments(job.Id);
+        }
+        job.Status = status;
+        job.ErrorMessage = errorMessage;
+        job.CompletedAt = DateTime.UtcNow;
+        job.ResumeSignal = null;
+    }
+
+    private static CrawlJob? Find(string jobId)
+    {
+        return _jobs.FirstOrDefault(j => j.Id == jobId);
+    }
+
+    private static CrawlJob FindOrThrow(string jobId)
+    {
+        return Find(jobId) ?? throw new KeyNotFoundException($"Crawl job {jobId} not found");
+    }
+
+    private static void PruneFinishedJobs()
+    {
+        var finished = _jobs.Where(j => j.IsFinished).Skip(MaxFinishedJobs).ToList();
+        foreach (var job in finished)
+        {
+            _jobs.Remove(job);
+        }
+    }
+
+    // Copy for serialization; a running job shows the live document counts
+    private static CrawlJob Snapshot(CrawlJob job)
+    {
+        var snapshot = job.Clone();
+        if (!job.IsFinished)
+        {
+            var progress = CrawlProgressService.GetSnapshot();
+            if (progress?.CrawlId == job.Id)
+            {
+                snapshot.SuccessfulDocuments = progress.SuccessfulDocuments;
+                snapshot.FailedDocuments = progress.FailedDocuments;
+            }
+        }
+        return snapshot;
+    }
+}
+
+public static class CrawlJobType
+{
+    public const string Crawl = "crawl";
+    public const string Recrawl = "recrawl";
+    public const string Retry = "retry";
+}
+
+public static class CrawlJobStatus
+{
+    public const string Queued = "queued";
+    public const string Running = "running";
+    public const string Paused = "paused";
+    public const string Cancelling = "cancelling";
+    public const string Completed = "completed";
+    public const string Failed = "failed";
+    public const string Cancelled = "cancelled";
+}
+
+public class CrawlJob
+{
+    public string Id { get; set; } = "";
+    public string Type { get; set; } = CrawlJobType.Crawl;
+    public string? ConnectionId { get; set; }
+    public List<Company> Companies { get; set; } = new();
+    // Overrides of the saved data collection settings, if any
+    public CrawlOptions? Options { get; set; }
+    public string Status { get; set; } = CrawlJobStatus.Queued;
+    public DateTime CreatedAt { get; set; }
+    public DateTime? StartedAt { get; set; }
+    public DateTime? CompletedAt { get; set; }
+    public string? ErrorMessage { get; set; }
+    public int SuccessfulDocuments { get; set; }
+    public int FailedDocuments { get; set; }
+    // Set on retry jobs: the job whose failed documents are re-run
+    public string? RetryOfJobId { get; set; }
+    public int RetryDocumentCount => RetryDocuments.Count;
+
+    public bool IsFinished => Status is CrawlJobStatus.Completed or CrawlJobStatus.Failed or CrawlJobStatus.Cancelled;
+
+    // Runtime state, not serialized
+    internal CancellationTokenSource Cancellation = new();
+    internal TaskCompletionSource? ResumeSignal;
+    internal List<CrawlDocumentProgress> FailedDocumentList = new();
+    internal List<CrawlDocumentProgress> RetryDocuments = new();
+    internal HashSet<string>? RetryUrls;
+    internal CrawlFilter? Filter;
+
+    public CrawlJob Clone() => (CrawlJob)MemberwiseClone();
+}
@@ -0,0 +1,221 @@
+using System.Text.Json;
+using Microsoft.Extensions.Logging;
+
+namespace ApiGraphActivator.Services;
+
+// Dry run of a crawl: applies the same CrawlFilter as EdgarService.GetDocument to each company's SEC submissions
+// and compares the result with the tracked documents, without tracking or fetching any filing. Filings already indexed
+// successfully are listed as tracked and skipped, as a crawl job skips them.
+public static class CrawlPreviewService
+{
+    // Used for the duration estimate until a crawl has run since the server started
+    private const double DefaultDocumentsPerMinute = 30;
+    // SEC allows 10 requests per second; the submissions of each company are fetched one after another
+    private static readonly TimeSpan SecRequestInterval = TimeSpan.FromMilliseconds(100);
+
+    private static ILogger? _logger;
+
+    public static void InitializeLogger(ILogger logger)
+    {
+        _logger = logger;
+    }
+
+    public static async Task<CrawlPreview> PreviewAsync(List<Company> companies, string? connectionId, CrawlOptions? options = null,
+        CancellationToken cancellationToken = default)
+    {
+        var filter = await DataCollectionConfigurationService.ResolveCrawlFilterAsync(options);
+        var preview = new CrawlPreview
+        {
+            ConnectionId = connectionId,
+            IncludedFormTypes = filter.FormTypes,
+            FromDate = filter.FromDate.Date,
+            ToDate = filter.ToDate?.Date,
+            MaxFilingsPerCompany = filter.MaxFilingsPerCompany,
+            IsOverridden = filter.IsOverridden
+        };
+
+        foreach (var company in companies)
+        {
+            if (preview.Companies.Count > 0)
+            {
+                await Task.Delay(SecRequestInterval, cancellationToken);
+            }
+            preview.Companies.Add(await PreviewCompanyAsync(company, connectionId, filter, cancellationToken));
+        }
+
+        preview.NewDocuments = preview.Companies.Sum(c => c.NewDocuments);
+        preview.TrackedDocuments = preview.Companies.Sum(c => c.TrackedDocuments);
+        preview.PendingDocuments = preview.Companies.Sum(c => c.PendingDocuments);
+        preview.FailedDocuments = preview.Companies.Sum(c => c.FailedDocuments);
+        preview.SkippedFilings = preview.Companies.Sum(c => c.SkippedByDate + c.SkippedByForm + c.SkippedByLimit + c.TrackedDocuments);
+        preview.TotalDocuments = preview.NewDocuments + preview.PendingDocuments + preview.FailedDocuments;
+
+        // The last crawl's throughput is the best guide; it includes the SEC rate limiting and the Graph ingestion
+        var measured = CrawlProgressService.GetSnapshot()?.DocumentsPerMinute;
+        preview.DocumentsPerMinute = measured > 0 ? measured.Value : DefaultDocumentsPerMinute;
+        preview.ThroughputMeasured = measured > 0;
+        preview.EstimatedSeconds = (int)Math.Ceiling(preview.TotalDocuments / preview.DocumentsPerMinute * 60);
+
+        _logger?.LogInformation("Crawl preview for {CompanyCount} companies in connection {ConnectionId}: {DocumentCount} documents, about {Seconds}s",
+            companies.Count, connectionId ?? "default", preview.TotalDocuments, preview.EstimatedSeconds);
+        return preview;
+    }
+
+    private static async Task<CompanyCrawlPreview> PreviewCompanyAsync(Company company, string? connectionId, CrawlFilter filter,
+        CancellationToken cancellationToken)
+    {
+        var companyName = company.Title.Trim();
+        var result = new CompanyCrawlPreview
+        {
+            CompanyName = companyName,
+            Ticker = company.Ticker.Trim(),
+            Cik = company.Cik
+        };
+
+        var trackedByUrl = (await EdgarService.GetCompanyDocumentsAsync(companyName, connectionId))
+            .GroupBy(d => d.Url)
+            .ToDictionary(g => g.Key, g => g.First());
+
+        try
+        {
+            var submissions = await EdgarService.GetSubmissionsJsonAsync(company.Cik, cancellationToken);
+            using var doc = JsonDocument.Parse(submissions);
+            var recentFilings = doc.RootElement.GetProperty("filings").GetProperty("recent");
+            var aNumberObj = recentFilings.GetProperty("accessionNumber");
+            var formsObj = recentFilings.GetProperty("form");
+            var pDocObj = recentFilings.GetProperty("primaryDocument");
+            var reportDate = recentFilings.GetProperty("reportDate");
+
+            for (int i = 0; i < formsObj.GetArrayLength(); i++)
+            {
+                var reportDateText = reportDate[i].ToString();
+                if (reportDateText.Length < 10 || !DateTime.TryParse(reportDateText, out var filingDate) || !filter.IncludesDate(filingDate))
+                {
+                    result.SkippedByDate++;
+                    continue;
+                }
+
+                var form = formsObj[i].ToString();
+                if (!filter.IncludesForm(form))
+                {
+                    result.SkippedByForm++;
+                    continue;
+                }
+                if (filter.MaxFilingsPerCompany.HasValue && result.Filings.Count >= filter.MaxFilingsPerCompany.Value)
+                {
+                    result.SkippedByLimit++;
+                    continue;
+                }
+
+                var url = $"https://www.sec.gov/Archives/edgar/data/{company.Cik}/{aNumberObj[i].ToString().Replace("-", "")}/{pDocObj[i]}";
+                trackedByUrl.TryGetValue(url, out var tracked);
+                trackedByUrl.Remove(url);
+                result.Filings.Add(ToFiling(form, filingDate, url, tracked));
+            }
+        }
+        catch (Exception ex) when (!cancellationToken.IsCancellationRequested)
+        {
+            _logger?.LogWarning("Crawl preview could not read the filings of {Company}: {Error}", companyName, ex.Message);
+            result.ErrorMessage = ex.Message;
+        }
+
+        // Documents left unprocessed by an earlier crawl are fetched as well, even when they are no longer in range,
+        // unless the crawl has overrides
+        if (!filter.IsOverridden)
+        {
+            foreach (var pending in trackedByUrl.Values.Where(d => !d.Processed && filter.IncludesForm(d.Form)))
+            {
+                result.Filings.Add(ToFiling(pending.Form, pending.FilingDate, pending.Url, pending));
+            }
+        }
+
+        result.Filings = result.Filings.OrderByDescending(f => f.FilingDate).ToList();
+        result.NewDocuments = result.Filings.Count(f => f.Status == CrawlPreviewStatus.New);
+        result.TrackedDocuments = result.Filings.Count(f => f.Status == CrawlPreviewStatus.Tracked);
+        result.PendingDocuments = result.Filings.Count(f => f.Status == CrawlPreviewStatus.Pending);
+        result.FailedDocuments = result.Filings.Count(f => f.Status == CrawlPreviewStatus.Failed);
+        return result;
+    }
+
+    private static FilingPreview ToFiling(string form, DateTime filingDate, string url, DocumentInfo? tracked)
+    {
+        return new FilingPreview
+        {
+            Form = form,
+            FilingDate = filingDate,
+            Url = url,
+            Status = tracked == null ? CrawlPreviewStatus.New
+                : !tracked.Processed ? CrawlPreviewStatus.Pending
+                : tracked.Success ? CrawlPreviewStatus.Tracked
+                : CrawlPreviewStatus.Failed,
+            LastProcessedDate = tracked?.ProcessedDate,
+            LastSucceeded = tracked?.Processed == true ? tracked.Success : null
+        };
+    }
+}
+
+public static class CrawlPreviewStatus
+{
+    // Not tracked yet
+    public const string New = "new";
+    // Indexed successfully before; the crawl skips it (Recrawl All refreshes it)
+    public const string Tracked = "tracked";
+    // Tracked but not processed yet, e.g. left over from an interrupted crawl
+    public const string Pending = "pending";
+    // Processed before without success; the crawl fetches it again
+    public const string Failed = "failed";
+}
+
+public class CrawlPreview
+{
+    public string? ConnectionId { get; set; }
+    // The filter the crawl would use: the saved settings, or the request's overrides of them
+    public List<string> IncludedFormTypes { get; set; } = new();
+    public DateTime FromDate { get; set; }
+    public DateTime? ToDate { get; set; }
+    public int? MaxFilingsPerCompany { get; set; }
+    public bool IsOverridden { get; set; }
+    // Documents the crawl would fetch, by status
+    public int TotalDocuments { get; set; }
+    public int NewDocuments { get; set; }
+    public int PendingDocuments { get; set; }
+    public int FailedDocuments { get; set; }
+    // Filings already indexed, which the crawl skips
+    public int TrackedDocuments { get; set; }
+    // Filings the crawl skips: outside the date range or form types, beyond the per-company limit, or already indexed
+    public int SkippedFilings { get; set; }
+    public double DocumentsPerMinute { get; set; }
+    // False when DocumentsPerMinute is the default rather than the last crawl's
+    public bool ThroughputMeasured { get; set; }
+    public int EstimatedSeconds { get; set; }
+    public List<CompanyCrawlPreview> Companies { get; set; } = new();
+}
+
+public class CompanyCrawlPreview
+{
+    public string CompanyName { get; set; } = "";
+    public string Ticker { get; set; } = "";
+    public int Cik { get; set; }
+    public int NewDocuments { get; set; }
+    public int PendingDocuments { get; set; }
+    public int FailedDocuments { get; set; }
+    // Already indexed, so skipped; still listed in Filings
+    public int TrackedDocuments { get; set; }
+    public int SkippedByDate { get; set; }
+    public int SkippedByForm { get; set; }
+    public int SkippedByLimit { get; set; }
+    // Set when the company's filings could not be read from SEC
+    public string? ErrorMessage { get; set; }
+    public List<FilingPreview> Filings { get; set; } = new();
+}
+
+public class FilingPreview
+{
+    public string Form { get; set; } = "";
+    public DateTime FilingDate { get; set; }
+    public string Url { get; set; } = "";
+    public string Status { get; set; } = CrawlPreviewStatus.New;
+    public DateTime? LastProcessedDate { get; set; }
+    // Null until the document has been processed
+    public bool? LastSucceeded { get; set; }
+}
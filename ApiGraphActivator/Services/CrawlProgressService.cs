@@ -0,0 +1,325 @@
+using System.Runtime.CompilerServices;
+using System.Threading.Channels;
+
+namespace ApiGraphActivator.Services;
+
+// Live progress of the crawl that is running, or of the last one since the server started.
+// The crawl pipeline in EdgarService is static, so this is too; every change is pushed to subscribers as a fresh snapshot.
+public static class CrawlProgressService
+{
+    private const int MaxRecentErrors = 20;
+
+    private static readonly object _lock = new();
+    private static readonly List<Channel<CrawlProgress?>> _subscribers = new();
+    private static CrawlProgress? _current;
+    private static DateTime? _firstDocumentStartedAt;
+    // Every document that failed in the current crawl, so a job can retry them
+    private static readonly List<CrawlDocumentProgress> _failedDocuments = new();
+
+    public static CrawlProgress? GetSnapshot()
+    {
+        lock (_lock)
+        {
+            return _current == null ? null : Snapshot(_current);
+        }
+    }
+
+    // Yields the current snapshot (null before the first crawl), then a new one after every change
+    public static async IAsyncEnumerable<CrawlProgress?> WatchAsync([EnumeratorCancellation] CancellationToken cancellationToken)
+    {
+        // Slow readers only need the latest state, so older snapshots are dropped
+        var channel = Channel.CreateBounded<CrawlProgress?>(new BoundedChannelOptions(1) { FullMode = BoundedChannelFullMode.DropOldest });
+        lock (_lock)
+        {
+            channel.Writer.TryWrite(_current == null ? null : Snapshot(_current));
+            _subscribers.Add(channel);
+        }
+
+        try
+        {
+            await foreach (var progress in channel.Reader.ReadAllAsync(cancellationToken))
+            {
+                yield return progress;
+            }
+        }
+        finally
+        {
+            lock (_lock)
+            {
+                _subscribers.Remove(channel);
+            }
+        }
+    }
+
+    // Returns the documents that failed in the given crawl, or an empty list once another crawl has started
+    public static List<CrawlDocumentProgress> GetFailedDocuments(string crawlId)
+    {
+        lock (_lock)
+        {
+            return _current?.CrawlId == crawlId ? _failedDocuments.ToList() : new List<CrawlDocumentProgress>();
+        }
+    }
+
+    public static void Start(List<Company> companies, string? connectionId, string? crawlId = null)
+    {
+        Update(() =>
+        {
+            _firstDocumentStartedAt = null;
+            _failedDocuments.Clear();
+            _current = new CrawlProgress
+            {
+                CrawlId = crawlId ?? Guid.NewGuid().ToString("N"),
+                ConnectionId = connectionId,
+                Status = CrawlProgressStatus.Running,
+                StartedAt = DateTime.UtcNow,
+                Companies = companies.Select(c => new CompanyProgress
+                {
+                    CompanyName = c.Title.Trim(),
+                    Ticker = c.Ticker.Trim()
+                }).ToList()
+            };
+        });
+    }
+
+    public static void CompanyStarted(string? companyName)
+    {
+        UpdateRunning(progress =>
+        {
+            var company = FindCompany(progress, companyName);
+            if (company != null)
+            {
+                company.Status = CrawlProgressStatus.Running;
+            }
+            progress.CurrentCompany = companyName;
+        });
+    }
+
+    // Called once a company's filings are tracked, with the number of documents that will be fetched
+    public static void CompanyDocumentsFound(string? companyName, int documentCount)
+    {
+        UpdateRunning(progress =>
+        {
+            var company = FindCompany(progress, companyName);
+            if (company != null)
+            {
+                company.TotalDocuments = documentCount;
+            }
+        });
+    }
+
+    public static void DocumentStarted(string companyName, string form, DateTime? filingDate, string url)
+    {
+        UpdateRunning(progress =>
+        {
+            _firstDocumentStartedAt ??= DateTime.UtcNow;
+            progress.CurrentDocument = new CrawlDocumentProgress
+            {
+                CompanyName = companyName,
+                Form = form,
+                FilingDate = filingDate,
+                Url = url,
+                StartedAt = DateTime.UtcNow
+            };
+        });
+    }
+
+    // Called for every processed document; only the one reported by DocumentStarted is counted
+    public static void DocumentCompleted(string url, bool success, string? errorMessage)
+    {
+        UpdateRunning(progress =>
+        {
+            var document = progress.CurrentDocument;
+            if (document == null || document.Url != url)
+            {
+                return;
+            }
+
+            var company = FindCompany(progress, document.CompanyName);
+            if (success)
+            {
+                progress.SuccessfulDocuments++;
+                if (company != null) company.SuccessfulDocuments++;
+            }
+            else
+            {
+                progress.FailedDocuments++;
+                if (company != null) company.FailedDocuments++;
+                _failedDocuments.Add(document);
+                progress.RecentErrors.Insert(0, new ProcessingError
+                {
+                    CompanyName = document.CompanyName,
+                    Form = document.Form,
+                    Url = url,
+                    ErrorMessage = errorMessage ?? "Unknown error",
+                    ErrorDate = DateTime.UtcNow
+                });
+                if (progress.RecentErrors.Count > MaxRecentErrors)
+                {
+                    progress.RecentErrors.RemoveAt(progress.RecentErrors.Count - 1);
+                }
+            }
+            progress.CurrentDocument = null;
+        });
+    }
+
+    public static void CompanyCompleted(string? companyName)
+    {
+        UpdateRunning(progress =>
+        {
+            var company = FindCompany(progress, companyName);
+            if (company != null)
+            {
+                company.Status = CrawlProgressStatus.Completed;
+            }
+            progress.CurrentCompany = null;
+        });
+    }
+
+    public static void Complete()
+    {
+        UpdateRunning(progress => Finish(progress, CrawlProgressStatus.Completed, null));
+    }
+
+    public static void Fail(string errorMessage)
+    {
+        UpdateRunning(progress => Finish(progress, CrawlProgressStatus.Failed, errorMessage));
+    }
+
+    public static void Cancelled()
+    {
+        UpdateRunning(progress => Finish(progress, CrawlProgressStatus.Cancelled, null));
+    }
+
+    public static void SetPaused(string crawlId, bool paused)
+    {
+        UpdateRunning(progress =>
+        {
+            if (progress.CrawlId == crawlId)
+            {
+                progress.Status = paused ? CrawlProgressStatus.Paused : CrawlProgressStatus.Running;
+            }
+        });
+    }
+
+    private static void Finish(CrawlProgress progress, string status, string? errorMessage)
+    {
+        progress.Status = status;
+        progress.ErrorMessage = errorMessage;
+        progress.CompletedAt = DateTime.UtcNow;
+        progress.CurrentCompany = null;
+        progress.CurrentDocument = null;
+    }
+
+    private static CompanyProgress? FindCompany(CrawlProgress progress, string? companyName)
+    {
+        return progress.Companies.FirstOrDefault(c => string.Equals(c.CompanyName, companyName, StringComparison.OrdinalIgnoreCase));
+    }
+
+    // Applies a change to the running (or paused) crawl; changes reported outside a crawl (such as a full crawl) are ignored
+    private static void UpdateRunning(Action<CrawlProgress> change)
+    {
+        Update(() =>
+        {
+            if (_current?.Status == CrawlProgressStatus.Running || _current?.Status == CrawlProgressStatus.Paused)
+            {
+                change(_current);
+            }
+        });
+    }
+
+    private static void Update(Action change)
+    {
+        lock (_lock)
+        {
+            change();
+            if (_current == null)
+            {
+                return;
+            }
+            var snapshot = Snapshot(_current);
+            foreach (var subscriber in _subscribers)
+            {
+                subscriber.Writer.TryWrite(snapshot);
+            }
+        }
+    }
+
+    // Copies the mutable state and fills in the derived totals, throughput and ETA
+    private static CrawlProgress Snapshot(CrawlProgress progress)
+    {
+        var snapshot = (CrawlProgress)progress.Clone();
+        snapshot.Companies = progress.Companies.Select(c => c.Clone()).ToList();
+        snapshot.RecentErrors = progress.RecentErrors.ToList();
+        snapshot.TotalDocuments = snapshot.Companies.Sum(c => c.TotalDocuments ?? 0);
+        snapshot.CompletedCompanies = snapshot.Companies.Count(c => c.Status == CrawlProgressStatus.Completed);
+
+        var processed = snapshot.SuccessfulDocuments + snapshot.FailedDocuments;
+        var end = snapshot.CompletedAt ?? DateTime.UtcNow;
+        if (_firstDocumentStartedAt.HasValue && processed > 0)
+        {
+            var minutes = (end - _firstDocumentStartedAt.Value).TotalMinutes;
+            snapshot.DocumentsPerMinute = minutes > 0 ? Math.Round(processed / minutes, 1) : null;
+        }
+        if (snapshot.Status == CrawlProgressStatus.Running && snapshot.DocumentsPerMinute > 0)
+        {
+            // Companies not scanned yet have no document count, so the estimate grows as they are reached
+            var remaining = Math.Max(0, snapshot.TotalDocuments - processed);
+            snapshot.EstimatedSecondsRemaining = (int)Math.Ceiling(remaining / snapshot.DocumentsPerMinute.Value * 60);
+        }
+        return snapshot;
+    }
+}
+
+public static class CrawlProgressStatus
+{
+    public const string Pending = "pending";
+    public const string Running = "running";
+    public const string Paused = "paused";
+    public const string Completed = "completed";
+    public const string Failed = "failed";
+    public const string Cancelled = "cancelled";
+}
+
+public class CrawlProgress
+{
+    public string CrawlId { get; set; } = "";
+    public string? ConnectionId { get; set; }
+    public string Status { get; set; } = CrawlProgressStatus.Pending;
+    public DateTime StartedAt { get; set; }
+    public DateTime? CompletedAt { get; set; }
+    public string? ErrorMessage { get; set; }
+    public string? CurrentCompany { get; set; }
+    public CrawlDocumentProgress? CurrentDocument { get; set; }
+    public int TotalDocuments { get; set; }
+    public int SuccessfulDocuments { get; set; }
+    public int FailedDocuments { get; set; }
+    public int CompletedCompanies { get; set; }
+    public double? DocumentsPerMinute { get; set; }
+    public int? EstimatedSecondsRemaining { get; set; }
+    public List<CompanyProgress> Companies { get; set; } = new();
+    public List<ProcessingError> RecentErrors { get; set; } = new();
+
+    public object Clone() => MemberwiseClone();
+}
+
+public class CompanyProgress
+{
+    public string CompanyName { get; set; } = "";
+    public string Ticker { get; set; } = "";
+    public string Status { get; set; } = CrawlProgressStatus.Pending;
+    // Null until the company's filings have been scanned
+    public int? TotalDocuments { get; set; }
+    public int SuccessfulDocuments { get; set; }
+    public int FailedDocuments { get; set; }
+
+    public CompanyProgress Clone() => (CompanyProgress)MemberwiseClone();
+}
+
+public class CrawlDocumentProgress
+{
+    public string CompanyName { get; set; } = "";
+    public string Form { get; set; } = "";
+    public DateTime? FilingDate { get; set; }
+    public string Url { get; set; } = "";
+    public DateTime StartedAt { get; set; }
+}
@@ -71,6 +71,36 @@ public static class DataCollectionConfigurationService
         var config = await LoadConfigurationAsync();
         return config.IncludedFormTypes;
     }
+
+    // Combines a crawl's overrides with the saved configuration, which is left untouched
+    public static async Task<CrawlFilter> ResolveCrawlFilterAsync(CrawlOptions? options = null)
+    {
+        var config = await LoadConfigurationAsync();
+        return new CrawlFilter
+        {
+            FormTypes = options?.FormTypes?.Count > 0 ? options.FormTypes : config.IncludedFormTypes,
+            FromDate = options?.FromDate ?? DateTime.Now.AddYears(-config.YearsOfData),
+            ToDate = options?.ToDate,
+            MaxFilingsPerCompany = options?.MaxFilingsPerCompany,
+            IsOverridden = options?.HasOverrides == true
+        };
+    }
+}
+
+// The filings a crawl fetches: the saved configuration, or a crawl's overrides of it
+public class CrawlFilter
+{
+    public List<string> FormTypes { get; set; } = new();
+    public DateTime FromDate { get; set; }
+    public DateTime? ToDate { get; set; }
+    public int? MaxFilingsPerCompany { get; set; }
+    // A crawl with overrides only fetches the filings it selected, not documents left pending by earlier crawls
+    public bool IsOverridden { get; set; }
+
+    public bool IncludesForm(string form) => FormTypes.Any(formType => form.ToUpper().Contains(formType.ToUpper()));
+
+    // ToDate is a calendar day, so filings on that day are included
+    public bool IncludesDate(DateTime reportDate) => reportDate >= FromDate && (!ToDate.HasValue || reportDate < ToDate.Value.Date.AddDays(1));
 }
 
 public class DataCollectionConfiguration
@@ -136,12 +136,14 @@ public static class EdgarService
     private static HashSet<string> _companiesWithProcessedDocuments = new HashSet<string>();
 
     // Define an asynchronous static method to hydrate lookup data for specific companies
-    async public static Task<List<EdgarExternalItem>> HydrateLookupDataForCompanies(List<Company> companies, string? connectionId = null)
+    // When run as a crawl job, the job is checked between companies and documents so it can be cancelled or paused
+    async public static Task<List<EdgarExternalItem>> HydrateLookupDataForCompanies(List<Company> companies, string? connectionId = null, CrawlJob? job = null)
     {
         _logger?.LogInformation("Processing {CompanyCount} companies", companies.Count);
         
         // Clear the tracking set for this session
         _companiesWithProcessedDocuments.Clear();
+        CrawlProgressService.Start(companies, connectionId, job?.Id);
         
         // Create a list to store filing documents
         List<EdgarExternalItem> filingDocuments = new List<EdgarExternalItem>();
@@ -151,14 +153,17 @@ public static class EdgarService
             // Process each selected company
             foreach (var company in companies)
             {
+                await CrawlJobService.CheckpointAsync(job).ConfigureAwait(false);
                 _logger?.LogTrace($"Processing company: {company.Ticker} - {company.Title}");
                 
                 companyName = company.Title.Trim();
                 companySymbol = company.Ticker.Trim();
                 cikLookup = company.Cik.ToString();
+                CrawlProgressService.CompanyStarted(companyName);
 
                 string filingJson = await GetCIKFiling().ConfigureAwait(false);
-                var companyFilingDocuments = await GetDocument(filingJson, connectionId).ConfigureAwait(false);
+                var companyFilingDocuments = await GetDocument(filingJson, connectionId, job).ConfigureAwait(false);
+                CrawlProgressService.CompanyCompleted(companyName);
                 
                 if (companyFilingDocuments != null)
                 {
@@ -176,12 +181,22 @@ public static class EdgarService
                 _logger?.LogInformation("Updated timestamps for {ProcessedCount} companies that had documents processed in connection {ConnectionId}", processedCompanies.Count, connectionId ?? "default");
             }
         }
+        // Only the job's own token means a cancel; an HttpClient timeout is also an OperationCanceledException and fails the crawl
+        catch (OperationCanceledException) when (job?.Cancellation.IsCancellationRequested == true)
+        {
+            _logger?.LogInformation("Crawl job {JobId} cancelled after {DocumentCount} documents", job?.Id, filingDocuments.Count);
+            CrawlProgressService.Cancelled();
+            throw;
+        }
         catch (Exception ex)
         {
             _logger?.LogError($"Error processing companies: {ex.Message}");
+            CrawlProgressService.Fail(ex.Message);
             return filingDocuments;
         }
 
+        CrawlProgressService.Complete();
+
         _logger?.LogInformation("Completed processing. Total documents: {DocumentCount}, Companies with processed documents: {ProcessedCount}", 
             filingDocuments.Count, _companiesWithProcessedDocuments.Count);
         return filingDocuments;
@@ -226,8 +241,26 @@ public static class EdgarService
         return filingString;
     }
 
+    // Fetches a company's submissions JSON without touching the crawl's static state, so it is safe while a crawl runs
+    public static async Task<string> GetSubmissionsJsonAsync(int companyCik, CancellationToken cancellationToken = default)
+    {
+        var url = $"https://data.sec.gov/submissions/CIK{companyCik.ToString().PadLeft(10, '0')}.json";
+        _logger?.LogTrace($"Fetching JSON payload for {url}");
+        return await _client.GetStringAsync(url, cancellationToken).ConfigureAwait(false);
+    }
+
+    // Every document tracked for a company, processed or not; empty when no storage service is configured
+    public static async Task<List<DocumentInfo>> GetCompanyDocumentsAsync(string companyName, string? connectionId = null)
+    {
+        if (_storageService == null)
+        {
+            return new List<DocumentInfo>();
+        }
+        return await _storageService.GetCompanyDocumentsAsync(companyName, connectionId).ConfigureAwait(false);
+    }
+
     // Define an asynchronous static method to get document from filing string
-    async public static Task<List<EdgarExternalItem>> GetDocument(string filingString, string? connectionId = null)
+    async public static Task<List<EdgarExternalItem>> GetDocument(string filingString, string? connectionId = null, CrawlJob? job = null)
     {
         string retVal = "";
         List<EdgarExternalItem> externalItemData = new List<EdgarExternalItem>();
@@ -246,8 +279,24 @@ public static class EdgarService
             var pDocObj = recentFilings.GetProperty("primaryDocument");
             var reportDate = recentFilings.GetProperty("reportDate");
 
-            // Iterate through the recent filings
-            for (int i = 0; i < formsObj.GetArrayLength(); i++)
+            // The saved data collection settings, or the job's overrides of them
+            var filter = job?.Filter ?? await DataCollectionConfigurationService.ResolveCrawlFilterAsync().ConfigureAwait(false);
+            // With overrides only the filings selected below are fetched, so pending documents of other forms or dates are left alone
+            var selectedUrls = filter.IsOverridden && job?.RetryUrls == null ? new HashSet<string>() : null;
+            // A crawl job leaves filings it has already indexed successfully alone; recrawls and scheduled runs refresh them
+            var indexedUrls = job?.Type == CrawlJobType.Crawl
+                ? (await GetCompanyDocumentsAsync(companyName, connectionId).ConfigureAwait(false))
+                    .Where(d => d.Processed && d.Success)
+                    .Select(d => d.Url)
+                    .ToHashSet()
+                : new HashSet<string>();
+            var skippedIndexed = 0;
+
+            // Iterate through the recent filings (newest first). A retry job skips this: it only re-runs the documents
+            // that failed, which were requeued before it started
+            var filingCount = job?.RetryUrls == null ? formsObj.GetArrayLength() : 0;
+            var selectedFilings = 0;
+            for (int i = 0; i < filingCount; i++)
             {
                 try
                 {
@@ -256,28 +305,43 @@ public static class EdgarService
                         continue;
                     }
                     var theDate = DateTime.Parse(reportDate[i].ToString());
-                    int yearsOfData = await DataCollectionConfigurationService.GetYearsOfDataAsync();
 
-                    // Check if the date is more than the configured years in the past
-                    if (theDate < DateTime.Now.AddYears(-yearsOfData))
+                    // Check if the date is within the configured years, or the crawl's date range
+                    if (!filter.IncludesDate(theDate))
                     {
                         continue;
                     }
 
                     var form = formsObj[i].ToString();
+                    if (!filter.IncludesForm(form))
+                    {
+                        continue;
+                    }
+                    if (filter.MaxFilingsPerCompany.HasValue && selectedFilings >= filter.MaxFilingsPerCompany.Value)
+                    {
+                        break;
+                    }
+                    selectedFilings++;
+
                     var aNumber = aNumberObj[i].ToString();
                     var pDoc = pDocObj[i].ToString();
                     aNumber = aNumber.Replace("-", "");
 
                     // Populate data for Schema population
                     urlField = $"https://www.sec.gov/Archives/edgar/data/{cik}/{aNumber}/{pDoc}";
+                    if (indexedUrls.Contains(urlField))
+                    {
+                        skippedIndexed++;
+                        continue;
+                    }
 
                     // Insert Azure Table bookkeeping to know which documents are available and which documents I've gathered
                     // Want to log all data available, and only update data that I have gathered
                     try
                     {
                         _logger?.LogTrace($"Checking if exists: CompanyName={companyName}, Form={form}, FilingDate={theDate}");
-                        await InsertItemIfNotExists(companyName, form, theDate, urlField, connectionId).ConfigureAwait(false);
+                        await InsertItemIfNotExists(companyName, form, theDate, urlField, connectionId, filter.FormTypes).ConfigureAwait(false);
+                        selectedUrls?.Add(urlField);
                     }
                     catch (Exception ex)
                     {
@@ -290,10 +354,30 @@ public static class EdgarService
                 }
             }
 
+            if (skippedIndexed > 0)
+            {
+                _logger?.LogInformation("Skipped {SkippedCount} already indexed filings for {Company}", skippedIndexed, companyName);
+            }
+
             _logger.LogTrace($"beginning unprocessed data for company: {companyName}");
             var unprocessedData = await QueryUnprocessedData(connectionId).ConfigureAwait(false);
+
+            // Report how many of this company's documents are about to be fetched
+            CrawlProgressService.CompanyDocumentsFound(companyName, unprocessedData.Count(entity =>
+                string.Equals(entity.GetString("CompanyName"), companyName, StringComparison.OrdinalIgnoreCase) &&
+                filter.IncludesForm(entity.GetString("Form") ?? "") &&
+                (job?.RetryUrls == null || job.RetryUrls.Contains(entity.GetString("Url"))) &&
+                (selectedUrls == null || selectedUrls.Contains(entity.GetString("Url")))));
+
             foreach (var entity in unprocessedData)
             {
+                await CrawlJobService.CheckpointAsync(job).ConfigureAwait(false);
+                if ((job?.RetryUrls != null && !job.RetryUrls.Contains(entity.GetString("Url"))) ||
+                    (selectedUrls != null && !selectedUrls.Contains(entity.GetString("Url"))))
+                {
+                    continue;
+                }
+
                 try
                 {
                     string entityCompanyName = entity.GetString("CompanyName");
@@ -314,9 +398,8 @@ public static class EdgarService
                     // Generate reproducible itemId based on URL for consistency
                     itemId = DocumentIdGenerator.GenerateDocumentId(url);
                     
-                    // Check if the form is one of the configured types
-                    var includedFormTypes = await DataCollectionConfigurationService.GetIncludedFormTypesAsync();
-                    if (includedFormTypes.Any(formType => form.ToUpper().Contains(formType.ToUpper())))
+                    // Check if the form is one of the configured types, or the crawl's subset
+                    if (filter.IncludesForm(form))
                     {
                         //itemId = $"{documentCompanyName}_Form{form}_{filingDate.Value.ToShortDateString()}".Replace("/", "_").Replace(" ", "_").Replace(".", "");
                         companyField = documentCompanyName;
@@ -324,6 +407,7 @@ public static class EdgarService
                         reportDateField = filingDate;
                         formField = form;
                         urlField = url;
+                        CrawlProgressService.DocumentStarted(documentCompanyName, form, filingDate, url);
 
                         retVal = await FetchWithExponentialBackoff(urlField).ConfigureAwait(false);
                         if(retVal == "FAILED")
@@ -911,10 +995,12 @@ public static class EdgarService
     }
 
     // Define a method to insert an item if it does not exist in the table
-    public static async Task InsertItemIfNotExists(string companyName, string form, DateTime filingDate, string url, string? connectionId = null)
+    // includedFormTypes defaults to the configured form types
+    public static async Task InsertItemIfNotExists(string companyName, string form, DateTime filingDate, string url, string? connectionId = null,
+        List<string>? includedFormTypes = null)
     {
         // Check if the form is one of the configured types
-        var includedFormTypes = await DataCollectionConfigurationService.GetIncludedFormTypesAsync();
+        includedFormTypes ??= await DataCollectionConfigurationService.GetIncludedFormTypesAsync();
         if (!includedFormTypes.Any(formType => form.ToUpper().Contains(formType.ToUpper())))
         {
             _logger?.LogTrace($"Skipping form not in configured types: {form}");
@@ -977,9 +1063,22 @@ public static class EdgarService
         }
     }
 
+    // Marks documents as unprocessed again so the next crawl of their companies fetches them
+    public static async Task RequeueDocumentsAsync(IEnumerable<CrawlDocumentProgress> documents, string? connectionId = null,
+        List<string>? includedFormTypes = null)
+    {
+        foreach (var document in documents)
+        {
+            await InsertItemIfNotExists(document.CompanyName, document.Form, document.FilingDate ?? DateTime.MinValue, document.Url, connectionId,
+                includedFormTypes).ConfigureAwait(false);
+        }
+    }
+
     // Define a method to update the processed item in the table
     public static async Task UpdateProcessedItem(string url, bool success = true, string? errorMessage = null)
     {
+        CrawlProgressService.DocumentCompleted(url, success, errorMessage);
+
         try
         {
             // Use new storage service if available, otherwise fall back to old Azure Table Storage
@@ -285,4 +285,5 @@ public class LoadContentToConnectionRequest
 {
     public List<Company> Companies { get; set; } = new List<Company>();
     public string ConnectionId { get; set; } = string.Empty;
+    public CrawlOptions? Options { get; set; }
 }
@@ -8,6 +8,7 @@ public interface ICrawlStorageService
     Task TrackDocumentAsync(string companyName, string form, DateTime filingDate, string url, string? connectionId = null);
     Task MarkProcessedAsync(string url, bool success = true, string? errorMessage = null, string? connectionId = null);
     Task<List<DocumentInfo>> GetUnprocessedAsync(string? connectionId = null);
+    Task<List<DocumentInfo>> GetCompanyDocumentsAsync(string companyName, string? connectionId = null);
     Task<CrawlMetrics> GetCrawlMetricsAsync(string? companyName = null, string? connectionId = null);
     Task<List<ProcessingError>> GetProcessingErrorsAsync(string? companyName = null, string? connectionId = null);
     Task<Dictionary<int, YearlyMetrics>> GetYearlyMetricsAsync(string? connectionId = null);
@@ -89,6 +89,21 @@ public class InMemoryStorageService : ICrawlStorageService
         });
     }
 
+    public async Task<List<DocumentInfo>> GetCompanyDocumentsAsync(string companyName, string? connectionId = null)
+    {
+        return await Task.Run(() =>
+        {
+            lock (_lock)
+            {
+                // Documents tracked without a connection are stored with an empty connection id
+                return _documents
+                    .Where(d => d.CompanyName.Equals(companyName, StringComparison.OrdinalIgnoreCase)
+                        && d.ConnectionId == (connectionId ?? ""))
+                    .ToList();
+            }
+        });
+    }
+
     public async Task<CrawlMetrics> GetCrawlMetricsAsync(string? companyName = null, string? connectionId = null)
     {
         return await Task.Run(() =>
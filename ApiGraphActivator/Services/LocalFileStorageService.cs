@@ -131,6 +131,20 @@ public class LocalFileStorageService : ICrawlStorageService
         }
     }
 
+    public async Task<List<DocumentInfo>> GetCompanyDocumentsAsync(string companyName, string? connectionId = null)
+    {
+        try
+        {
+            var documents = await LoadDocumentsAsync(connectionId);
+            return documents.Where(d => d.CompanyName.Equals(companyName, StringComparison.OrdinalIgnoreCase)).ToList();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get documents for company: {Company} and connection: {ConnectionId}", companyName, connectionId ?? "global");
+            return new List<DocumentInfo>();
+        }
+    }
+
     public async Task<CrawlMetrics> GetCrawlMetricsAsync(string? companyName = null, string? connectionId = null)
     {
         try
@@ -970,14 +970,7 @@ namespace ApiGraphActivator.Services
 
                 await ConfigurationService.SaveCrawledCompaniesAsync(companies, connectionId);
 
-                await _taskQueue.QueueBackgroundWorkItemAsync(async token =>
-                {
-                    _logger.LogInformation("MCP background crawl started for {Count} companies in connection {ConnectionId}",
-                        companies.Count, connectionId);
-                    await ContentService.LoadContentForCompanies(companies, connectionId);
-                    _logger.LogInformation("MCP background crawl completed for {Count} companies in connection {ConnectionId}",
-                        companies.Count, connectionId);
-                });
+                var job = await CrawlJobService.EnqueueAsync(_taskQueue, CrawlJobType.Crawl, companies, connectionId);
 
                 return CreateSuccessResponse(requestId, new
                 {
@@ -986,7 +979,7 @@ namespace ApiGraphActivator.Services
                         new
                         {
                             type = "text",
-                            text = $"Crawl started successfully for {companies.Count} companies to connection '{connectionId}'. " +
+                            text = $"Crawl job {job.Id} started successfully for {companies.Count} companies to connection '{connectionId}'. " +
                                    $"Companies: {string.Join(", ", companies.Select(c => $"{c.Ticker} ({c.Title})"))}"
                         }
                     }
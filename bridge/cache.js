@@ -0,0 +1,171 @@
+/**
+ * Response cache for read-only MCP calls made through the bridge
+ * Entries are keyed by method + params and expire after a per-method TTL; the cache can be
+ * persisted to a file so it survives Claude Desktop restarts
+ */
+
+const fs = require('fs');
+const { canonical } = require('./jsonrpc');
+const { splitQualified } = require('./routing');
+const { logger } = require('./logger');
+
+const CACHE_FILE_VERSION = 1;
+
+/**
+ * TTLs per method, or per tool as "tools/call:<name>"; anything not listed is never cached.
+ * Crawl status and document tools change while a crawl runs, so they are left out.
+ */
+const DEFAULT_CACHE_TTLS = {
+    'tools/list': 300000,
+    'prompts/list': 300000,
+    'resources/list': 300000,
+    'resources/templates/list': 300000,
+    'resources/read': 60000,
+    'tools/call:list_companies': 600000,
+    'tools/call:get_crawled_companies': 60000
+};
+
+// The TTL key for a request: per tool for tools/call, otherwise the method
+function ttlKey(message) {
+    return message.method === 'tools/call' ? `tools/call:${message.params?.name}` : message.method;
+}
+
+class ResponseCache {
+    constructor({ ttls = DEFAULT_CACHE_TTLS, file = null } = {}, now = Date.now) {
+        this.ttls = ttls;
+        this.file = file;
+        this.now = now;
+        this.entries = new Map();
+        // Hit and miss counts per TTL key, for the shutdown stats line
+        this.counters = new Map();
+        this.invalidations = 0;
+        if (file) {
+            this.load();
+        }
+    }
+
+    // Namespaced tools ("prod.list_companies") share the TTL of the upstream's own tool name
+    ttlFor(message) {
+        const key = ttlKey(message);
+        if (this.ttls[key] !== undefined) {
+            return this.ttls[key];
+        }
+        if (message.method === 'tools/call') {
+            const qualified = splitQualified(message.params?.name);
+            if (qualified) {
+                return this.ttls[`tools/call:${qualified.name}`] ?? 0;
+            }
+        }
+        return 0;
+    }
+
+    keyFor(message) {
+        return `${message.method}|${canonical(message.params || {})}`;
+    }
+
+    count(message, field) {
+        const key = ttlKey(message);
+        if (!this.counters.has(key)) {
+            this.counters.set(key, { hits: 0, misses: 0 });
+        }
+        this.counters.get(key)[field]++;
+    }
+
+    // A fresh copy of the cached response answering this request's id, or null
+    get(message) {
+        if (this.ttlFor(message) <= 0) {
+            return null;
+        }
+
+        const key = this.keyFor(message);
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt <= this.now()) {
+            this.entries.delete(key);
+        } else if (entry) {
+            this.count(message, 'hits');
+            return { ...JSON.parse(entry.response), id: message.id };
+        }
+
+        this.count(message, 'misses');
+        return null;
+    }
+
+    // Stores successful results only; tool errors reported in-band (isError) are not cached
+    set(message, response) {
+        const ttl = this.ttlFor(message);
+        if (ttl <= 0 || !response?.result || response.result.isError === true) {
+            return;
+        }
+        this.entries.set(this.keyFor(message), {
+            expiresAt: this.now() + ttl,
+            response: JSON.stringify(response)
+        });
+    }
+
+    invalidate(reason) {
+        if (this.entries.size === 0) {
+            return;
+        }
+        logger.info('Response cache invalidated', { reason, entries: this.entries.size });
+        this.entries.clear();
+        this.invalidations++;
+    }
+
+    stats() {
+        let hits = 0;
+        let misses = 0;
+        const methods = {};
+        for (const [key, counter] of this.counters) {
+            hits += counter.hits;
+            misses += counter.misses;
+            methods[key] = `${counter.hits}/${counter.hits + counter.misses}`;
+        }
+        const hitRate = hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 10 : 0;
+        return { hits, misses, hitRate, invalidations: this.invalidations, entries: this.entries.size, methods };
+    }
+
+    load() {
+        let stored;
+        try {
+            stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Ignoring unreadable cache file', { file: this.file, error: error.message });
+            }
+            return;
+        }
+        if (stored?.version !== CACHE_FILE_VERSION || !Array.isArray(stored.entries)) {
+            logger.warn('Ignoring cache file with unknown format', { file: this.file });
+            return;
+        }
+
+        const now = this.now();
+        for (const { key, expiresAt, response } of stored.entries) {
+            if (expiresAt > now) {
+                this.entries.set(key, { expiresAt, response });
+            }
+        }
+        logger.info('Response cache loaded', { file: this.file, entries: this.entries.size });
+    }
+
+    // Written synchronously since this runs while the process is shutting down
+    save() {
+        if (!this.file) {
+            return;
+        }
+        const now = this.now();
+        const entries = [...this.entries]
+            .filter(([, entry]) => entry.expiresAt > now)
+            .map(([key, entry]) => ({ key, ...entry }));
+        try {
+            fs.writeFileSync(this.file, JSON.stringify({ version: CACHE_FILE_VERSION, entries }));
+        } catch (error) {
+            logger.warn('Unable to write cache file', { file: this.file, error: error.message });
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_CACHE_TTLS,
+    ResponseCache
+};
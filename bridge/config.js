@@ -0,0 +1,408 @@
+/**
+ * Configuration for the MCP bridge
+ * Resolves the upstream server, TLS and auth settings from CLI args and environment variables
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { DEFAULT_PROTOCOL_VERSIONS } = require('./protocol');
+const { LEVELS, DEFAULT_REDACT_FIELDS } = require('./logger');
+const { loadFixture } = require('./replay');
+const { UPSTREAM_NAME_PATTERN } = require('./routing');
+const { loadPolicy } = require('./policy');
+const { DEFAULT_CACHE_TTLS } = require('./cache');
+
+const DEFAULT_URL = 'http://localhost:5236/mcp';
+
+// Each subscribed resource polls the REST API this often at most
+const MIN_RESOURCE_POLL_MS = 1000;
+
+// Idle timeouts per method, or per tool as "tools/call:<name>"; anything else uses the default
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_METHOD_TIMEOUTS = {
+    'tools/list': 10000,
+    'prompts/list': 10000,
+    'resources/list': 10000,
+    'tools/call:start_crawl': 300000,
+    'tools/call:analyze_document': 300000
+};
+
+const OPTIONS = {
+    url: { type: 'string', short: 'u' },
+    upstream: { type: 'string', multiple: true },
+    'upstream-token': { type: 'string', multiple: true },
+    token: { type: 'string', short: 't' },
+    header: { type: 'string', short: 'H', multiple: true },
+    insecure: { type: 'boolean', short: 'k' },
+    'ca-file': { type: 'string' },
+    listen: { type: 'boolean', short: 'l' },
+    'protocol-versions': { type: 'string' },
+    retries: { type: 'string' },
+    'retry-delay': { type: 'string' },
+    'retry-max-delay': { type: 'string' },
+    'breaker-threshold': { type: 'string' },
+    'breaker-reset': { type: 'string' },
+    timeout: { type: 'string' },
+    'method-timeout': { type: 'string', multiple: true },
+    'log-level': { type: 'string' },
+    redact: { type: 'string' },
+    capture: { type: 'string' },
+    replay: { type: 'string' },
+    native: { type: 'boolean' },
+    resources: { type: 'boolean' },
+    'resource-poll': { type: 'string' },
+    policy: { type: 'string' },
+    'read-only': { type: 'boolean' },
+    cache: { type: 'boolean' },
+    'cache-ttl': { type: 'string', multiple: true },
+    'cache-file': { type: 'string' },
+    'max-concurrent': { type: 'string' },
+    'drain-timeout': { type: 'string' },
+    doctor: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const USAGE = `Usage: node mcp-bridge.js [options]
+
+Options:
+  -u, --url <url>          Upstream MCP endpoint (env MCP_BRIDGE_URL, default ${DEFAULT_URL})
+      --upstream <name=url>
+                           Named upstream, repeatable; tools are exposed as <name>.<tool>
+                           (env MCP_BRIDGE_UPSTREAMS, ','-separated; replaces --url)
+      --upstream-token <name=token>
+                           Bearer token for one named upstream, repeatable (env MCP_BRIDGE_UPSTREAM_TOKENS)
+  -t, --token <token>      Bearer token sent as Authorization header (env MCP_BRIDGE_TOKEN)
+  -H, --header <h: value>  Extra request header, repeatable (env MCP_BRIDGE_HEADERS, ';'-separated)
+  -k, --insecure           Accept self-signed TLS certificates (env MCP_BRIDGE_INSECURE=1)
+      --ca-file <path>     PEM bundle used to verify the upstream certificate (env MCP_BRIDGE_CA_FILE)
+  -l, --listen             Keep a GET event stream open for server-initiated messages (env MCP_BRIDGE_LISTEN=1)
+      --protocol-versions <list>
+                           Comma-separated versions the backend supports, newest first
+                           (env MCP_BRIDGE_PROTOCOL_VERSIONS, default ${DEFAULT_PROTOCOL_VERSIONS.join(',')})
+      --retries <n>        Retries for idempotent calls on connection errors and 502/503/504
+                           (env MCP_BRIDGE_RETRIES, default 3)
+      --retry-delay <ms>   Base backoff delay, doubled per attempt with jitter (env MCP_BRIDGE_RETRY_DELAY_MS, default 250)
+      --retry-max-delay <ms>
+                           Upper bound for a single backoff delay (env MCP_BRIDGE_RETRY_MAX_DELAY_MS, default 5000)
+      --breaker-threshold <n>
+                           Consecutive failures that open the circuit, 0 disables it
+                           (env MCP_BRIDGE_BREAKER_THRESHOLD, default 5)
+      --breaker-reset <ms> How long the circuit stays open before probing again
+                           (env MCP_BRIDGE_BREAKER_RESET_MS, default 15000)
+      --timeout <ms>       Default idle timeout for upstream requests (env MCP_BRIDGE_TIMEOUT_MS, default ${DEFAULT_TIMEOUT_MS})
+      --method-timeout <method=ms>
+                           Per-method timeout, repeatable; use tools/call:<tool> for a single tool
+                           (env MCP_BRIDGE_METHOD_TIMEOUTS, ','-separated)
+      --log-level <level>  error, warn, info or debug; debug logs full messages (env MCP_BRIDGE_LOG_LEVEL, default info)
+      --redact <fields>    Comma-separated field names masked in logs and captures, '' for none
+                           (env MCP_BRIDGE_REDACT, default ${DEFAULT_REDACT_FIELDS.join(',')})
+      --capture <file>     Append request/response pairs to a JSONL file (env MCP_BRIDGE_CAPTURE)
+      --replay <file>      Answer from a recorded JSONL fixture instead of the upstream server
+                           (env MCP_BRIDGE_REPLAY)
+      --native             Serve MCP from the bridge itself with tools built on the REST API next to
+                           each upstream URL, instead of proxying to /mcp (env MCP_BRIDGE_NATIVE=1)
+      --resources          Publish crawl metrics and errors as edgar:// resources read from the REST API;
+                           implied by --native (env MCP_BRIDGE_RESOURCES=1)
+      --resource-poll <ms> How often subscribed edgar:// resources are checked for changes
+                           (env MCP_BRIDGE_RESOURCE_POLL_MS, default 30000, at least ${MIN_RESOURCE_POLL_MS})
+      --policy <file>      JSON tool policy with "allow"/"deny" name patterns (env MCP_BRIDGE_POLICY)
+      --read-only          Only expose tools annotated readOnlyHint (env MCP_BRIDGE_READ_ONLY=1)
+      --cache              Cache read-only responses in memory (env MCP_BRIDGE_CACHE=1)
+      --cache-ttl <method=ms>
+                           Cache TTL override, repeatable; tools/call:<tool> for a single tool, 0 disables
+                           (env MCP_BRIDGE_CACHE_TTLS, ','-separated)
+      --cache-file <path>  Persist the cache between runs; implies --cache (env MCP_BRIDGE_CACHE_FILE)
+      --max-concurrent <n> Requests in flight per upstream before further ones queue, 0 for no limit
+                           (env MCP_BRIDGE_MAX_CONCURRENT, default 8)
+      --drain-timeout <ms> How long shutdown waits for pending requests (env MCP_BRIDGE_DRAIN_TIMEOUT_MS, default 10000)
+      --doctor             Check the upstream(s) and print a pass/fail report instead of bridging;
+                           exits 0 when every check passed, 1 otherwise
+  -h, --help               Show this help
+`;
+
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+function isTruthy(value) {
+    return ['1', 'true', 'yes', 'on'].includes(String(value || '').trim().toLowerCase());
+}
+
+// Parses "Name: value" pairs into a header object
+function parseHeaders(entries) {
+    const headers = {};
+    for (const entry of entries) {
+        const separator = entry.indexOf(':');
+        if (separator <= 0) {
+            throw new ConfigError(`Invalid header "${entry}", expected "Name: value"`);
+        }
+        const name = entry.slice(0, separator).trim();
+        const value = entry.slice(separator + 1).trim();
+        headers[name] = value;
+    }
+    return headers;
+}
+
+function parseUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw new ConfigError(`Invalid upstream URL "${value}"`);
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new ConfigError(`Unsupported protocol "${url.protocol}" in upstream URL, use http or https`);
+    }
+
+    // A bare host (e.g. the App Service root) means the default MCP endpoint
+    if (url.pathname === '/' || url.pathname === '') {
+        url.pathname = '/mcp';
+    }
+
+    return url;
+}
+
+function parseInteger(name, value, defaultValue) {
+    if (value === undefined || value === '') {
+        return defaultValue;
+    }
+    if (!/^\d+$/.test(String(value).trim())) {
+        throw new ConfigError(`Invalid value "${value}" for ${name}, expected a non-negative integer`);
+    }
+    return parseInt(value, 10);
+}
+
+// Parses "method=ms" entries on top of built-in per-method defaults
+function parseMethodDurations(option, defaults, entries) {
+    const durations = { ...defaults };
+    for (const entry of entries) {
+        const separator = entry.lastIndexOf('=');
+        if (separator <= 0) {
+            throw new ConfigError(`Invalid ${option} "${entry}", expected "method=ms"`);
+        }
+        const method = entry.slice(0, separator).trim();
+        durations[method] = parseInteger(`${option} ${method}`, entry.slice(separator + 1).trim());
+    }
+    return durations;
+}
+
+function parseLogLevel(value) {
+    const level = (value || 'info').toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(LEVELS, level)) {
+        throw new ConfigError(`Invalid log level "${value}", expected one of ${Object.keys(LEVELS).join(', ')}`);
+    }
+    return level;
+}
+
+// Splits a comma-separated list; an unset value gives defaultValue, while '' gives an empty list
+function parseList(value, defaultValue = []) {
+    if (value === undefined || value === null) {
+        return defaultValue;
+    }
+    return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+// Parses "name=value" entries into a Map, rejecting duplicates
+function parseNamedEntries(option, entries) {
+    const named = new Map();
+    for (const entry of entries) {
+        const separator = entry.indexOf('=');
+        if (separator <= 0) {
+            throw new ConfigError(`Invalid ${option} "${entry}", expected "name=value"`);
+        }
+        const name = entry.slice(0, separator).trim();
+        if (named.has(name)) {
+            throw new ConfigError(`Duplicate ${option} "${name}"`);
+        }
+        named.set(name, entry.slice(separator + 1).trim());
+    }
+    return named;
+}
+
+// A single unnamed upstream from --url, or one per --upstream, each with its own auth header
+function parseUpstreams(values, env, url, headers) {
+    const upstreamUrls = parseNamedEntries('--upstream', values.upstream || parseList(env.MCP_BRIDGE_UPSTREAMS));
+    const tokens = parseNamedEntries('--upstream-token', values['upstream-token'] || parseList(env.MCP_BRIDGE_UPSTREAM_TOKENS));
+
+    if (upstreamUrls.size === 0) {
+        if (tokens.size > 0) {
+            throw new ConfigError('--upstream-token requires --upstream');
+        }
+        return [{ name: null, url: parseUrl(url), headers }];
+    }
+
+    for (const name of tokens.keys()) {
+        if (!upstreamUrls.has(name)) {
+            throw new ConfigError(`--upstream-token given for unknown upstream "${name}"`);
+        }
+    }
+
+    return [...upstreamUrls].map(([name, upstreamUrl]) => {
+        if (!UPSTREAM_NAME_PATTERN.test(name)) {
+            throw new ConfigError(`Invalid upstream name "${name}", use letters, digits, '-' and '_'`);
+        }
+        const upstreamHeaders = { ...headers };
+        if (tokens.has(name)) {
+            upstreamHeaders['Authorization'] = `Bearer ${tokens.get(name)}`;
+        }
+        return { name, url: parseUrl(upstreamUrl), headers: upstreamHeaders };
+    });
+}
+
+function parseProtocolVersions(value) {
+    if (!value) {
+        return DEFAULT_PROTOCOL_VERSIONS;
+    }
+    const versions = parseList(value);
+    for (const version of versions) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(version)) {
+            throw new ConfigError(`Invalid protocol version "${version}", expected YYYY-MM-DD`);
+        }
+    }
+    if (versions.length === 0) {
+        throw new ConfigError('At least one protocol version is required');
+    }
+    return versions;
+}
+
+/**
+ * Builds the bridge configuration. CLI args win over environment variables.
+ */
+function loadConfig(argv = process.argv.slice(2), env = process.env) {
+    let values;
+    try {
+        ({ values } = parseArgs({ args: argv, options: OPTIONS, strict: true }));
+    } catch (error) {
+        throw new ConfigError(error.message);
+    }
+
+    const envHeaders = (env.MCP_BRIDGE_HEADERS || '')
+        .split(';')
+        .map(entry => entry.trim())
+        .filter(Boolean);
+
+    const headers = {
+        ...parseHeaders(envHeaders),
+        ...parseHeaders(values.header || [])
+    };
+
+    const token = values.token || env.MCP_BRIDGE_TOKEN;
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const caFile = values['ca-file'] || env.MCP_BRIDGE_CA_FILE;
+    let ca;
+    if (caFile) {
+        try {
+            ca = fs.readFileSync(caFile);
+        } catch (error) {
+            throw new ConfigError(`Unable to read CA file "${caFile}": ${error.message}`);
+        }
+    }
+
+    const replayFile = values.replay || env.MCP_BRIDGE_REPLAY;
+    let replay = null;
+    if (replayFile) {
+        try {
+            replay = { file: replayFile, exchanges: loadFixture(replayFile) };
+        } catch (error) {
+            throw new ConfigError(`Unable to load replay fixture "${replayFile}": ${error.message}`);
+        }
+    }
+
+    const cacheFile = values['cache-file'] || env.MCP_BRIDGE_CACHE_FILE;
+
+    const policyFile = values.policy || env.MCP_BRIDGE_POLICY;
+    let policy = { allow: [], deny: [], readOnly: false };
+    if (policyFile) {
+        try {
+            policy = loadPolicy(policyFile);
+        } catch (error) {
+            throw new ConfigError(`Unable to load policy file "${policyFile}": ${error.message}`);
+        }
+    }
+    if (values['read-only'] || isTruthy(env.MCP_BRIDGE_READ_ONLY)) {
+        policy.readOnly = true;
+    }
+
+    const upstreams = parseUpstreams(values, env, values.url || env.MCP_BRIDGE_URL || DEFAULT_URL, headers);
+    if (replay && upstreams[0].name) {
+        throw new ConfigError('--replay cannot be combined with --upstream');
+    }
+    const native = Boolean(values.native || isTruthy(env.MCP_BRIDGE_NATIVE));
+    if (native && replay) {
+        throw new ConfigError('--native cannot be combined with --replay');
+    }
+    const resources = native || Boolean(values.resources || isTruthy(env.MCP_BRIDGE_RESOURCES));
+    if (resources && replay) {
+        throw new ConfigError('--resources cannot be combined with --replay');
+    }
+    const resourcePollMs = parseInteger('--resource-poll', values['resource-poll'] ?? env.MCP_BRIDGE_RESOURCE_POLL_MS, 30000);
+    if (resourcePollMs < MIN_RESOURCE_POLL_MS) {
+        throw new ConfigError(`Invalid value "${resourcePollMs}" for --resource-poll, expected at least ${MIN_RESOURCE_POLL_MS}`);
+    }
+
+    return {
+        help: Boolean(values.help),
+        doctor: Boolean(values.doctor),
+        upstreams,
+        tls: {
+            rejectUnauthorized: !(values.insecure || isTruthy(env.MCP_BRIDGE_INSECURE)),
+            ca
+        },
+        listen: Boolean(values.listen || isTruthy(env.MCP_BRIDGE_LISTEN)),
+        protocolVersions: parseProtocolVersions(values['protocol-versions'] || env.MCP_BRIDGE_PROTOCOL_VERSIONS),
+        retry: {
+            retries: parseInteger('--retries', values.retries ?? env.MCP_BRIDGE_RETRIES, 3),
+            baseDelayMs: parseInteger('--retry-delay', values['retry-delay'] ?? env.MCP_BRIDGE_RETRY_DELAY_MS, 250),
+            maxDelayMs: parseInteger('--retry-max-delay', values['retry-max-delay'] ?? env.MCP_BRIDGE_RETRY_MAX_DELAY_MS, 5000)
+        },
+        breaker: {
+            threshold: parseInteger('--breaker-threshold', values['breaker-threshold'] ?? env.MCP_BRIDGE_BREAKER_THRESHOLD, 5),
+            resetMs: parseInteger('--breaker-reset', values['breaker-reset'] ?? env.MCP_BRIDGE_BREAKER_RESET_MS, 15000)
+        },
+        maxConcurrent: parseInteger('--max-concurrent', values['max-concurrent'] ?? env.MCP_BRIDGE_MAX_CONCURRENT, 8),
+        shutdown: {
+            drainMs: parseInteger('--drain-timeout', values['drain-timeout'] ?? env.MCP_BRIDGE_DRAIN_TIMEOUT_MS, 10000)
+        },
+        timeouts: {
+            defaultMs: parseInteger('--timeout', values.timeout ?? env.MCP_BRIDGE_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+            methods: parseMethodDurations('--method-timeout', DEFAULT_METHOD_TIMEOUTS, [
+                ...parseList(env.MCP_BRIDGE_METHOD_TIMEOUTS),
+                ...(values['method-timeout'] || [])
+            ])
+        },
+        cache: {
+            enabled: Boolean(values.cache || isTruthy(env.MCP_BRIDGE_CACHE) || cacheFile),
+            ttls: parseMethodDurations('--cache-ttl', DEFAULT_CACHE_TTLS, [
+                ...parseList(env.MCP_BRIDGE_CACHE_TTLS),
+                ...(values['cache-ttl'] || [])
+            ]),
+            file: cacheFile || null
+        },
+        logging: {
+            level: parseLogLevel(values['log-level'] || env.MCP_BRIDGE_LOG_LEVEL),
+            redact: parseList(values.redact ?? env.MCP_BRIDGE_REDACT, DEFAULT_REDACT_FIELDS),
+            capture: values.capture || env.MCP_BRIDGE_CAPTURE || null
+        },
+        replay,
+        native,
+        resources: {
+            enabled: resources,
+            pollMs: resourcePollMs
+        },
+        policy
+    };
+}
+
+module.exports = {
+    DEFAULT_URL,
+    USAGE,
+    ConfigError,
+    loadConfig
+};
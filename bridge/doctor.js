@@ -0,0 +1,317 @@
+/**
+ * Self-test for the MCP bridge (--doctor)
+ * Runs the calls Claude Desktop makes on startup against each configured upstream, checks the
+ * responses against the shapes the MCP schema requires and prints a pass/fail report
+ */
+
+const { httpStatusError, isResponse } = require('./jsonrpc');
+const { Upstream, createTransport } = require('./upstream');
+const { restBaseUrl } = require('./rest');
+
+const HINT_ANNOTATIONS = ['readOnlyHint', 'destructiveHint', 'idempotentHint', 'openWorldHint'];
+
+// Likely causes for failures the doctor sees most, keyed by error code or HTTP status
+const ADVICE = {
+    ECONNREFUSED: 'nothing is listening there; start the API server with dotnet run in ApiGraphActivator',
+    ENOTFOUND: 'the host name does not resolve; check --url',
+    DEPTH_ZERO_SELF_SIGNED_CERT: 'self-signed certificate; use --insecure or --ca-file',
+    SELF_SIGNED_CERT_IN_CHAIN: 'untrusted certificate chain; use --ca-file',
+    UNABLE_TO_VERIFY_LEAF_SIGNATURE: 'untrusted certificate; use --ca-file',
+    ETIMEDOUT: 'the server accepted the connection but did not answer in time',
+    401: 'the server requires a token; pass --token',
+    403: 'the token lacks the Mcp.Read scope',
+    404: 'wrong endpoint; the MCP endpoint is usually /mcp'
+};
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkString(problems, value, path, { optional = false } = {}) {
+    if (value === undefined && optional) {
+        return;
+    }
+    if (typeof value !== 'string' || (!optional && value === '')) {
+        problems.push(`${path} must be a ${optional ? '' : 'non-empty '}string`);
+    }
+}
+
+function validateInitialize(result, supportedVersions) {
+    const problems = [];
+    checkString(problems, result.protocolVersion, 'protocolVersion');
+    if (typeof result.protocolVersion === 'string' && !supportedVersions.includes(result.protocolVersion)) {
+        problems.push(`protocolVersion ${result.protocolVersion} is not one of ${supportedVersions.join(', ')}`);
+    }
+    if (!isObject(result.capabilities)) {
+        problems.push('capabilities must be an object');
+    }
+    if (!isObject(result.serverInfo)) {
+        problems.push('serverInfo must be an object');
+    } else {
+        checkString(problems, result.serverInfo.name, 'serverInfo.name');
+        checkString(problems, result.serverInfo.version, 'serverInfo.version');
+    }
+    return problems;
+}
+
+function validateTools(result) {
+    const problems = [];
+    if (!Array.isArray(result.tools)) {
+        return ['tools must be an array'];
+    }
+    result.tools.forEach((tool, index) => {
+        const path = `tools[${typeof tool?.name === 'string' ? tool.name : index}]`;
+        if (!isObject(tool)) {
+            problems.push(`${path} must be an object`);
+            return;
+        }
+        checkString(problems, tool.name, `${path}.name`);
+        checkString(problems, tool.description, `${path}.description`, { optional: true });
+        if (!isObject(tool.inputSchema) || tool.inputSchema.type !== 'object') {
+            problems.push(`${path}.inputSchema must be an object schema with type "object"`);
+        }
+        if (tool.annotations !== undefined) {
+            if (!isObject(tool.annotations)) {
+                problems.push(`${path}.annotations must be an object`);
+                return;
+            }
+            checkString(problems, tool.annotations.title, `${path}.annotations.title`, { optional: true });
+            for (const hint of HINT_ANNOTATIONS) {
+                const value = tool.annotations[hint];
+                if (value !== undefined && typeof value !== 'boolean') {
+                    problems.push(`${path}.annotations.${hint} must be a boolean`);
+                }
+            }
+            if (tool.annotations.readOnlyHint === true && tool.annotations.destructiveHint === true) {
+                problems.push(`${path} is annotated both readOnlyHint and destructiveHint`);
+            }
+        }
+    });
+    return problems;
+}
+
+function validatePrompts(result) {
+    if (!Array.isArray(result.prompts)) {
+        return ['prompts must be an array'];
+    }
+    const problems = [];
+    result.prompts.forEach((prompt, index) => {
+        const path = `prompts[${index}]`;
+        checkString(problems, prompt?.name, `${path}.name`);
+        if (prompt?.arguments !== undefined) {
+            if (!Array.isArray(prompt.arguments)) {
+                problems.push(`${path}.arguments must be an array`);
+            } else {
+                prompt.arguments.forEach((argument, argumentIndex) => {
+                    checkString(problems, argument?.name, `${path}.arguments[${argumentIndex}].name`);
+                });
+            }
+        }
+    });
+    return problems;
+}
+
+function validateResources(result) {
+    if (!Array.isArray(result.resources)) {
+        return ['resources must be an array'];
+    }
+    const problems = [];
+    result.resources.forEach((resource, index) => {
+        checkString(problems, resource?.uri, `resources[${index}].uri`);
+        checkString(problems, resource?.name, `resources[${index}].name`);
+    });
+    return problems;
+}
+
+function validateToolResult(result) {
+    const problems = [];
+    if (!Array.isArray(result.content)) {
+        return ['content must be an array'];
+    }
+    result.content.forEach((item, index) => {
+        checkString(problems, item?.type, `content[${index}].type`);
+        if (item?.type === 'text') {
+            checkString(problems, item.text, `content[${index}].text`, { optional: true });
+        }
+    });
+    if (result.isError === true) {
+        const text = result.content.find(item => item?.type === 'text')?.text;
+        problems.push(`tool reported an error${text ? `: ${text.slice(0, 200)}` : ''}`);
+    }
+    return problems;
+}
+
+class Doctor {
+    constructor(config, output = process.stdout) {
+        this.config = config;
+        this.output = output;
+        this.failures = 0;
+        this.warnings = 0;
+        this.requestCount = 0;
+    }
+
+    print(line = '') {
+        this.output.write(`${line}\n`);
+    }
+
+    report(status, check, durationMs, detail) {
+        if (status === 'FAIL') {
+            this.failures++;
+        } else if (status === 'WARN') {
+            this.warnings++;
+        }
+        const timing = durationMs === null ? '' : `${durationMs}ms`;
+        this.print(`  ${status.padEnd(5)} ${check.padEnd(28)} ${timing.padStart(7)}  ${detail}`);
+    }
+
+    // Sends one request and resolves with the JSON-RPC response (HTTP failures mapped to errors),
+    // or with the transport error that prevented one
+    async request(upstream, method, params = {}) {
+        const message = { jsonrpc: "2.0", id: `doctor-${++this.requestCount}`, method, params };
+        let streamed = null;
+        const relay = (incoming) => {
+            if (isResponse(incoming) && incoming.id === message.id) {
+                streamed = incoming;
+            }
+        };
+
+        const startedAt = Date.now();
+        try {
+            const timeoutMs = this.config.timeouts.methods[method] ?? this.config.timeouts.defaultMs;
+            const { statusCode, headers, body } = await upstream.call(message, relay, { timeoutMs });
+            const durationMs = Date.now() - startedAt;
+            if (body === null) {
+                return { durationMs, headers, response: streamed, statusCode };
+            }
+            let parsed;
+            try {
+                parsed = JSON.parse(body);
+            } catch (error) {
+                parsed = undefined;
+            }
+            const response = isResponse(parsed) ? parsed : httpStatusError(statusCode, headers, body, message.id);
+            return { durationMs, headers, response, statusCode };
+        } catch (error) {
+            return { durationMs: Date.now() - startedAt, error };
+        }
+    }
+
+    describeFailure({ error, response, statusCode }) {
+        if (error) {
+            const advice = ADVICE[error.code];
+            return `${error.code || 'error'}: ${error.message}${advice ? ` (${advice})` : ''}`;
+        }
+        if (!response) {
+            return 'event stream closed without a response';
+        }
+        const advice = ADVICE[statusCode];
+        return `${response.error.code} ${response.error.message}${advice ? ` (${advice})` : ''}`;
+    }
+
+    // Runs one check; a method the server does not implement is a warning, not a failure
+    async check(upstream, label, method, params, validate, { optional = false } = {}) {
+        const outcome = await this.request(upstream, method, params);
+        const { durationMs, response } = outcome;
+
+        if (outcome.error || !response || response.error) {
+            if (optional && response?.error?.code === -32601) {
+                this.report('WARN', label, durationMs, 'not implemented by the server');
+                return null;
+            }
+            this.report('FAIL', label, durationMs, this.describeFailure(outcome));
+            return null;
+        }
+
+        const problems = validate(response.result || {});
+        if (problems.length > 0) {
+            this.report('FAIL', label, durationMs, problems.slice(0, 5).join('; ')
+                + (problems.length > 5 ? `; and ${problems.length - 5} more` : ''));
+            return null;
+        }
+        return outcome;
+    }
+
+    async checkUpstream(options) {
+        const upstream = new Upstream({
+            name: options.name,
+            transport: createTransport(this.config, options),
+            config: { ...this.config, listen: false }
+        });
+        let target = `${options.url.origin}${options.url.pathname}`;
+        if (this.config.replay) {
+            target = `replay fixture ${this.config.replay.file}`;
+        } else if (this.config.native) {
+            target = `native tools on the REST API at ${restBaseUrl(options.url).href}`;
+        }
+        this.print(`${options.name ? `${options.name}: ` : ''}${target}`);
+
+        const protocolVersion = this.config.protocolVersions[0];
+        const initialize = await this.check(upstream, 'initialize', 'initialize', {
+            protocolVersion,
+            capabilities: {},
+            clientInfo: { name: "mcp-bridge-doctor", version: "1.0.0" }
+        }, result => validateInitialize(result, this.config.protocolVersions));
+
+        if (!initialize) {
+            for (const skipped of ['tools/list', 'prompts/list', 'resources/list', 'tools/call get_crawl_status']) {
+                this.report('SKIP', skipped, null, 'initialize failed');
+            }
+            return;
+        }
+
+        const { result } = initialize.response;
+        const sessionId = initialize.headers?.['mcp-session-id'];
+        this.report('PASS', 'initialize', initialize.durationMs,
+            `${result.serverInfo.name} ${result.serverInfo.version}, protocol ${result.protocolVersion}${sessionId ? `, session ${sessionId}` : ''}`);
+        upstream.startSession(result.protocolVersion, sessionId);
+        await upstream.call({ jsonrpc: "2.0", method: 'notifications/initialized' }).catch(() => {});
+
+        const tools = await this.check(upstream, 'tools/list', 'tools/list', {}, validateTools);
+        if (tools) {
+            const list = tools.response.result.tools;
+            const unannotated = list.filter(tool => !tool.annotations).map(tool => tool.name);
+            const readOnly = list.filter(tool => tool.annotations?.readOnlyHint === true).length;
+            this.report(unannotated.length > 0 ? 'WARN' : 'PASS', 'tools/list', tools.durationMs,
+                `${list.length} tools, ${readOnly} read-only`
+                + (unannotated.length > 0 ? `; missing annotations: ${unannotated.join(', ')}` : ''));
+        }
+
+        const prompts = await this.check(upstream, 'prompts/list', 'prompts/list', {}, validatePrompts, { optional: true });
+        if (prompts) {
+            this.report('PASS', 'prompts/list', prompts.durationMs, `${prompts.response.result.prompts.length} prompts`);
+        }
+
+        const resources = await this.check(upstream, 'resources/list', 'resources/list', {}, validateResources, { optional: true });
+        if (resources) {
+            this.report('PASS', 'resources/list', resources.durationMs, `${resources.response.result.resources.length} resources`);
+        }
+
+        if (tools && !tools.response.result.tools.some(tool => tool.name === 'get_crawl_status')) {
+            this.report('WARN', 'tools/call get_crawl_status', null, 'tool not listed by the server');
+        } else {
+            const status = await this.check(upstream, 'tools/call get_crawl_status', 'tools/call',
+                { name: 'get_crawl_status', arguments: {} }, validateToolResult);
+            if (status) {
+                this.report('PASS', 'tools/call get_crawl_status', status.durationMs, `${status.response.result.content.length} content item(s)`);
+            }
+        }
+
+        await upstream.endSession();
+    }
+
+    // Resolves with the process exit code: 0 when nothing failed, 1 otherwise
+    async run() {
+        this.print('MCP bridge doctor');
+        for (const options of this.config.upstreams) {
+            this.print();
+            await this.checkUpstream(options);
+        }
+        this.print();
+        this.print(`${this.failures === 0 ? 'OK' : 'FAILED'}: ${this.failures} failed, ${this.warnings} warning(s)`);
+        return this.failures === 0 ? 0 : 1;
+    }
+}
+
+module.exports = {
+    Doctor
+};
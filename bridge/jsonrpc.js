@@ -0,0 +1,164 @@
+/**
+ * JSON-RPC 2.0 helpers shared by the MCP bridge
+ */
+
+const MAX_ERROR_BODY_LENGTH = 4096;
+
+// Standard JSON-RPC codes, plus bridge-specific ones from the -32000..-32099 server range.
+// The bridge codes echo the HTTP status they stand for where there is one.
+const ERROR_CODES = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+    UPSTREAM_UNAVAILABLE: -32000,
+    REQUEST_TIMEOUT: -32001,
+    UNAUTHORIZED: -32003,
+    ENDPOINT_NOT_FOUND: -32004,
+    PAYLOAD_TOO_LARGE: -32013,
+    RATE_LIMITED: -32029,
+    UPSTREAM_ERROR: -32050
+};
+
+// Error types used by the bridge (kept in error.data.type) and the code each one maps to
+const ERROR_TYPES = {
+    'parse-error': ERROR_CODES.PARSE_ERROR,
+    'invalid-request': ERROR_CODES.INVALID_REQUEST,
+    'method-not-found': ERROR_CODES.METHOD_NOT_FOUND,
+    'invalid-params': ERROR_CODES.INVALID_PARAMS,
+    'internal-error': ERROR_CODES.INTERNAL_ERROR,
+    'connection-error': ERROR_CODES.UPSTREAM_UNAVAILABLE,
+    'circuit-open': ERROR_CODES.UPSTREAM_UNAVAILABLE,
+    'upstream-unavailable': ERROR_CODES.UPSTREAM_UNAVAILABLE,
+    'timeout-error': ERROR_CODES.REQUEST_TIMEOUT,
+    'unauthorized': ERROR_CODES.UNAUTHORIZED,
+    'forbidden': ERROR_CODES.UNAUTHORIZED,
+    'tool-not-allowed': ERROR_CODES.UNAUTHORIZED,
+    'endpoint-not-found': ERROR_CODES.ENDPOINT_NOT_FOUND,
+    'payload-too-large': ERROR_CODES.PAYLOAD_TOO_LARGE,
+    'rate-limited': ERROR_CODES.RATE_LIMITED,
+    'server-error': ERROR_CODES.UPSTREAM_ERROR
+};
+
+function createError(type, message, id, data = {}) {
+    return {
+        jsonrpc: "2.0",
+        id: id,
+        error: {
+            code: ERROR_TYPES[type] ?? ERROR_CODES.INTERNAL_ERROR,
+            message: message,
+            data: { type, ...data }
+        }
+    };
+}
+
+// Describes an upstream HTTP failure status as a bridge error type and message
+function describeHttpStatus(status) {
+    switch (status) {
+        case 400:
+            return { type: 'invalid-request', message: 'MCP server rejected the request as invalid' };
+        case 401:
+            return { type: 'unauthorized', message: 'MCP server requires authentication; check the bridge token' };
+        case 403:
+            return { type: 'forbidden', message: 'Not authorized for this MCP operation; the token may lack the required scope' };
+        case 404:
+            return { type: 'endpoint-not-found', message: 'MCP endpoint not found; check the bridge URL' };
+        case 413:
+            return { type: 'payload-too-large', message: 'Request is too large for the MCP server' };
+        case 429:
+            return { type: 'rate-limited', message: 'MCP server is rate limiting requests' };
+        case 502:
+        case 503:
+        case 504:
+            return { type: 'upstream-unavailable', message: `MCP server is unavailable (HTTP ${status})` };
+        default:
+            return { type: 'server-error', message: `MCP server returned HTTP ${status}` };
+    }
+}
+
+// Parses an upstream body for error data: JSON stays structured, text is truncated
+function errorBody(body) {
+    if (!body) {
+        return undefined;
+    }
+    try {
+        return JSON.parse(body);
+    } catch (error) {
+        return body.length > MAX_ERROR_BODY_LENGTH ? `${body.slice(0, MAX_ERROR_BODY_LENGTH)}...` : body;
+    }
+}
+
+function httpStatusError(status, headers, body, id) {
+    const { type, message } = describeHttpStatus(status);
+    const data = { status, body: errorBody(body) };
+    if (headers && headers['retry-after']) {
+        data.retryAfter = headers['retry-after'];
+    }
+    return createError(type, message, id, data);
+}
+
+function isValidId(id) {
+    return id === null || typeof id === 'string' || (typeof id === 'number' && Number.isFinite(id));
+}
+
+// A request or notification as defined by JSON-RPC 2.0
+function isValidRequest(message) {
+    return Boolean(message)
+        && typeof message === 'object'
+        && !Array.isArray(message)
+        && message.jsonrpc === '2.0'
+        && typeof message.method === 'string'
+        && (!Object.prototype.hasOwnProperty.call(message, 'id') || isValidId(message.id))
+        && (message.params === undefined || (typeof message.params === 'object' && message.params !== null));
+}
+
+// The id to answer an invalid message with: its own id when usable, null otherwise
+function replyId(message) {
+    if (message && typeof message === 'object' && isValidId(message.id)) {
+        return message.id;
+    }
+    return null;
+}
+
+// A notification is a message with a method but no id member at all.
+// Note: an explicit "id": null is still a request and gets a response.
+function isNotification(message) {
+    return Boolean(message)
+        && typeof message === 'object'
+        && typeof message.method === 'string'
+        && !Object.prototype.hasOwnProperty.call(message, 'id');
+}
+
+// A response carries an id and a result or error but no method; the client sends these
+// when answering requests the server pushed over an event stream
+function isResponse(message) {
+    return Boolean(message)
+        && typeof message === 'object'
+        && message.method === undefined
+        && Object.prototype.hasOwnProperty.call(message, 'id')
+        && (Object.prototype.hasOwnProperty.call(message, 'result') || Object.prototype.hasOwnProperty.call(message, 'error'));
+}
+
+// Serializes a value with sorted object keys, so params that differ only in key order compare equal
+function canonical(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonical).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+module.exports = {
+    ERROR_CODES,
+    canonical,
+    createError,
+    httpStatusError,
+    isValidRequest,
+    replyId,
+    isNotification,
+    isResponse
+};
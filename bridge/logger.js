@@ -0,0 +1,128 @@
+/**
+ * Structured logging and traffic capture for the MCP bridge
+ * Log lines are JSON objects on stderr (stdout belongs to the MCP protocol); the optional
+ * capture file records every exchange as JSONL so a session can be replayed later
+ */
+
+const fs = require('fs');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Credentials plus the fields that carry document bodies in MCP results
+const DEFAULT_REDACT_FIELDS = [
+    'authorization',
+    'token',
+    'accessToken',
+    'access_token',
+    'refresh_token',
+    'password',
+    'secret',
+    'clientSecret',
+    'text',
+    'blob'
+];
+
+class Logger {
+    constructor() {
+        this.level = LEVELS.info;
+        this.redactFields = new Set(DEFAULT_REDACT_FIELDS.map(field => field.toLowerCase()));
+        this.output = process.stderr;
+        this.captureStream = null;
+    }
+
+    configure({ level, redact, capture, output } = {}) {
+        if (level !== undefined) {
+            this.level = LEVELS[level];
+        }
+        if (redact !== undefined) {
+            this.redactFields = new Set(redact.map(field => field.toLowerCase()));
+        }
+        if (output !== undefined) {
+            this.output = output;
+        }
+        if (capture) {
+            this.captureStream = fs.createWriteStream(capture, { flags: 'a' });
+            this.captureStream.on('error', (error) => {
+                this.error('Capture file error, capture disabled', { file: capture, error: error.message });
+                this.captureStream = null;
+            });
+        }
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] <= this.level;
+    }
+
+    // Deep copy with configured fields replaced by a marker that keeps their size
+    redact(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.redact(item));
+        }
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+
+        const copy = {};
+        for (const [key, field] of Object.entries(value)) {
+            if (this.redactFields.has(key.toLowerCase()) && field !== null && field !== undefined) {
+                const size = typeof field === 'string' ? field.length : JSON.stringify(field).length;
+                copy[key] = `[redacted ${size} chars]`;
+            } else {
+                copy[key] = this.redact(field);
+            }
+        }
+        return copy;
+    }
+
+    write(level, msg, fields) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+        const entry = { time: new Date().toISOString(), level, msg, ...this.redact(fields) };
+        this.output.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    error(msg, fields) {
+        this.write('error', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.write('warn', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.write('info', msg, fields);
+    }
+
+    debug(msg, fields) {
+        this.write('debug', msg, fields);
+    }
+
+    // Appends one capture record; redaction applies here too since captures get shared
+    capture(record) {
+        if (!this.captureStream) {
+            return;
+        }
+        const entry = { time: new Date().toISOString(), ...this.redact(record) };
+        this.captureStream.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    close() {
+        if (!this.captureStream) {
+            return Promise.resolve();
+        }
+        const stream = this.captureStream;
+        this.captureStream = null;
+        return new Promise(resolve => stream.end(resolve));
+    }
+}
+
+// One logger per process, shared by all bridge modules
+const logger = new Logger();
+
+module.exports = {
+    LEVELS,
+    DEFAULT_REDACT_FIELDS,
+    Logger,
+    logger
+};
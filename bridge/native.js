@@ -0,0 +1,290 @@
+/**
+ * Native MCP server mode for the bridge (--native)
+ * Instead of proxying to /mcp, the bridge answers MCP itself with tools built on the API server's
+ * REST routes, which exposes crawl metrics, error lists, yearly breakdowns and the scheduler and
+ * data collection settings that the C# MCPServerService does not offer as tools
+ */
+
+const { createError, isNotification } = require('./jsonrpc');
+const { RestClient, RestError } = require('./rest');
+
+const NATIVE_SERVER_INFO = { name: "edgar-processor-native", version: "1.0.0" };
+
+const EMPTY_RESULTS = {
+    'ping': {},
+    'prompts/list': { prompts: [] },
+    'resources/list': { resources: [] },
+    'resources/templates/list': { resourceTemplates: [] }
+};
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+function json(value) {
+    return JSON.stringify(value, null, 2);
+}
+
+// Processing errors newest first, at most `limit` of them
+function recentErrors(errors, limit) {
+    return [...(errors || [])]
+        .sort((a, b) => String(b.errorDate).localeCompare(String(a.errorDate)))
+        .slice(0, limit);
+}
+
+const companyArgument = description => ({ company: { type: 'string', description } });
+
+/**
+ * Tool definitions as returned by tools/list, each with the REST call behind it.
+ * run(rest, args, options) resolves with the text returned to the client.
+ */
+const NATIVE_TOOLS = [
+    {
+        name: 'list_companies',
+        description: 'List SEC-registered companies available for crawling. Returns company tickers, names, and CIK numbers from the SEC EDGAR database.',
+        annotations: { title: 'List SEC Companies', readOnlyHint: true },
+        inputSchema: {
+            type: 'object',
+            properties: {
+                search: { type: 'string', description: 'Optional search filter by ticker or company name' },
+                limit: { type: 'integer', description: 'Maximum number of results to return (default 50, max 200)' }
+            },
+            required: []
+        },
+        async run(rest, args, options) {
+            const tickers = await rest.get(['companies'], {}, options);
+            const search = args.search?.toLowerCase();
+            const companies = Object.values(tickers || {})
+                .map(entry => ({ cik: entry.cik_str, ticker: entry.ticker, title: entry.title }))
+                .filter(company => company.cik > 0)
+                .filter(company => !search
+                    || company.ticker?.toLowerCase().includes(search)
+                    || company.title?.toLowerCase().includes(search));
+            const results = companies.slice(0, clamp(args.limit ?? 50, 1, 200));
+            return `Found ${companies.length} companies${search ? ` matching '${args.search}'` : ''}, showing ${results.length}\n\n${json(results)}`;
+        }
+    },
+    {
+        name: 'get_crawled_companies',
+        description: 'Get the companies crawled into a Graph connection, with the date of the last crawl',
+        annotations: { title: 'Get Crawled Companies', readOnlyHint: true },
+        inputSchema: {
+            type: 'object',
+            properties: {
+                connectionId: { type: 'string', description: 'External connection ID to list crawled companies for' }
+            },
+            required: ['connectionId']
+        },
+        async run(rest, args, options) {
+            const crawled = await rest.get(['crawled-companies'], { connectionId: args.connectionId }, options);
+            return `${crawled.totalCompanies} companies crawled into ${crawled.connectionId}`
+                + `${crawled.lastCrawlDate ? `, last crawl ${crawled.lastCrawlDate}` : ''}\n\n${json(crawled.companies)}`;
+        }
+    },
+    {
+        name: 'get_crawl_status',
+        description: 'Get document processing totals, pending documents and storage health for the current crawl',
+        annotations: { title: 'Get Crawl Status', readOnlyHint: true },
+        inputSchema: { type: 'object', properties: {}, required: [] },
+        async run(rest, args, options) {
+            return json(await rest.get(['crawl-status'], {}, options));
+        }
+    },
+    {
+        name: 'get_crawl_metrics',
+        description: 'Get crawl metrics: document totals, success rate and form type counts, overall with a per-company breakdown or for one company',
+        annotations: { title: 'Get Crawl Metrics', readOnlyHint: true },
+        inputSchema: {
+            type: 'object',
+            properties: companyArgument('Optional: company name to get metrics for instead of the overall totals'),
+            required: []
+        },
+        async run(rest, args, options) {
+            const segments = args.company ? ['crawl-metrics', args.company] : ['crawl-metrics'];
+            return json(await rest.get(segments, {}, options));
+        }
+    },
+    {
+        name: 'get_yearly_metrics',
+        description: 'Get crawl metrics broken down by filing year, for all companies or one company',
+        annotations: { title: 'Get Yearly Crawl Metrics', readOnlyHint: true },
+        inputSchema: {
+            type: 'object',
+            properties: companyArgument('Optional: company name to break down instead of all companies'),
+            required: []
+        },
+        async run(rest, args, options) {
+            const segments = args.company ? ['crawl-metrics', 'yearly', args.company] : ['crawl-metrics', 'yearly'];
+            return json(await rest.get(segments, {}, options));
+        }
+    },
+    {
+        name: 'get_crawl_errors',
+        description: 'List documents that failed to process, most recent first, with the error message and filing URL',
+        annotations: { title: 'Get Crawl Errors', readOnlyHint: true },
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...companyArgument('Optional: only errors for this company'),
+                limit: { type: 'integer', description: 'Maximum number of errors to return (default 50, max 500)' }
+            },
+            required: []
+        },
+        async run(rest, args, options) {
+            const errors = await rest.get(['crawl-errors'], { company: args.company }, options) || [];
+            const recent = recentErrors(errors, clamp(args.limit ?? 50, 1, 500));
+            return `${errors.length} processing errors${args.company ? ` for ${args.company}` : ''}, showing ${recent.length}\n\n${json(recent)}`;
+        }
+    },
+    {
+        name: 'get_data_collection_config',
+        description: 'Get the data collection settings: years of data and the SEC form types included in crawls',
+        annotations: { title: 'Get Data Collection Config', readOnlyHint: true },
+        inputSchema: { type: 'object', properties: {}, required: [] },
+        async run(rest, args, options) {
+            return json(await rest.get(['data-collection-config'], {}, options));
+        }
+    },
+    {
+        name: 'get_scheduler_config',
+        description: 'Get the recrawl schedule: whether it is enabled, its frequency and the last and next scheduled runs',
+        annotations: { title: 'Get Scheduler Config', readOnlyHint: true },
+        inputSchema: { type: 'object', properties: {}, required: [] },
+        async run(rest, args, options) {
+            return json(await rest.get(['scheduler-config'], {}, options));
+        }
+    },
+    {
+        name: 'list_external_connections',
+        description: 'List the Microsoft Graph external connections that crawled documents can be loaded into',
+        annotations: { title: 'List Graph Connections', readOnlyHint: true },
+        inputSchema: { type: 'object', properties: {}, required: [] },
+        async run(rest, args, options) {
+            return json(await rest.get(['external-connections'], {}, options));
+        }
+    }
+];
+
+// Why the arguments do not fit the tool's input schema, or null when they do
+function checkArguments(tool, args) {
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+        return 'arguments must be an object';
+    }
+    const { properties, required } = tool.inputSchema;
+    for (const name of required) {
+        if (args[name] === undefined) {
+            return `missing required argument "${name}"`;
+        }
+    }
+    for (const [name, value] of Object.entries(args)) {
+        const type = properties[name]?.type;
+        if (type === 'string' && typeof value !== 'string') {
+            return `"${name}" must be a string`;
+        }
+        if (type === 'integer' && !Number.isInteger(value)) {
+            return `"${name}" must be an integer`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Drop-in replacement for HttpTransport that serves MCP from the REST routes. Failed REST calls
+ * are tool errors (isError) the model can read; connection failures and timeouts reject like
+ * they do over HTTP, so retries, the circuit breaker and error mapping behave the same.
+ */
+class NativeTransport {
+    constructor(config) {
+        this.rest = new RestClient(config);
+        this.tools = new Map(NATIVE_TOOLS.map(tool => [tool.name, tool]));
+        this.protocolVersion = null;
+        this.sessionId = null;
+    }
+
+    setProtocolVersion(version) {
+        this.protocolVersion = version;
+    }
+
+    setSessionId(sessionId) {
+        this.sessionId = sessionId || null;
+    }
+
+    async callTool(request, options) {
+        const { name, arguments: args = {} } = request.params || {};
+        const tool = this.tools.get(name);
+        if (!tool) {
+            return createError('invalid-params', `Unknown tool: ${name}`, request.id);
+        }
+        const problem = checkArguments(tool, args);
+        if (problem) {
+            return createError('invalid-params', `Invalid arguments for ${name}: ${problem}`, request.id);
+        }
+
+        let text;
+        let isError = false;
+        try {
+            text = await tool.run(this.rest, args, options);
+        } catch (error) {
+            // Network failures, timeouts and aborts stay transport errors so they are retried and
+            // counted by the circuit breaker; anything else, such as a route answering with a body
+            // the tool cannot read, is the tool's error
+            if (!(error instanceof RestError) && (error.code || options?.signal?.aborted)) {
+                throw error;
+            }
+            text = error instanceof RestError ? error.message : `${name} failed: ${error.message}`;
+            isError = true;
+        }
+        return { jsonrpc: "2.0", id: request.id, result: { content: [{ type: 'text', text }], isError } };
+    }
+
+    // Builds the JSON-RPC response for a request
+    async respond(request, options) {
+        switch (request.method) {
+            case 'initialize':
+                return {
+                    jsonrpc: "2.0",
+                    id: request.id,
+                    result: {
+                        protocolVersion: request.params?.protocolVersion,
+                        capabilities: { tools: {} },
+                        serverInfo: NATIVE_SERVER_INFO
+                    }
+                };
+            case 'tools/list':
+                return {
+                    jsonrpc: "2.0",
+                    id: request.id,
+                    result: { tools: NATIVE_TOOLS.map(({ run, ...definition }) => definition) }
+                };
+            case 'tools/call':
+                return this.callTool(request, options);
+            default:
+                if (EMPTY_RESULTS[request.method]) {
+                    return { jsonrpc: "2.0", id: request.id, result: EMPTY_RESULTS[request.method] };
+                }
+                return createError('method-not-found', `Method not found: ${request.method}`, request.id);
+        }
+    }
+
+    async post(payload, onMessage, options = {}) {
+        if (payload.method === undefined || isNotification(payload)) {
+            return { statusCode: 202, headers: {}, body: '' };
+        }
+        return { statusCode: 200, headers: {}, body: JSON.stringify(await this.respond(payload, options)) };
+    }
+
+    // Nothing is pushed by the REST API
+    listen() {}
+
+    async endSession() {
+        this.sessionId = null;
+    }
+
+    close() {}
+}
+
+module.exports = {
+    NATIVE_TOOLS,
+    recentErrors,
+    NativeTransport
+};
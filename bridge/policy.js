@@ -0,0 +1,87 @@
+/**
+ * Bridge-side tool policy: an allow/deny list from a policy file plus a read-only mode
+ * driven by the tools' readOnlyHint/destructiveHint annotations
+ */
+
+const fs = require('fs');
+
+// "get_*" or "*.start_crawl" style patterns; only '*' is special
+function globToRegExp(pattern) {
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+function readPatterns(policy, field) {
+    const patterns = policy[field] ?? [];
+    if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string')) {
+        throw new Error(`"${field}" must be an array of tool name patterns`);
+    }
+    return patterns;
+}
+
+/**
+ * Reads a policy file such as:
+ *   { "allow": ["search_documents", "get_*"], "deny": ["manage_connections"], "readOnly": false }
+ * Names are matched as Claude Desktop sees them, so with named upstreams use "prod.start_crawl"
+ * or "*.start_crawl".
+ */
+function loadPolicy(file) {
+    const policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        throw new Error('expected a JSON object');
+    }
+    if (policy.readOnly !== undefined && typeof policy.readOnly !== 'boolean') {
+        throw new Error('"readOnly" must be true or false');
+    }
+    return {
+        allow: readPatterns(policy, 'allow'),
+        deny: readPatterns(policy, 'deny'),
+        readOnly: policy.readOnly === true
+    };
+}
+
+class ToolPolicy {
+    constructor({ allow = [], deny = [], readOnly = false } = {}) {
+        this.allow = allow.map(globToRegExp);
+        this.deny = deny.map(globToRegExp);
+        this.readOnly = readOnly;
+        // Annotations from the latest tools/list, needed to judge tools/call in read-only mode
+        this.annotations = new Map();
+    }
+
+    get active() {
+        return this.readOnly || this.allow.length > 0 || this.deny.length > 0;
+    }
+
+    // Why a tool may not be used, or null when it may
+    check(name, annotations = this.annotations.get(name)) {
+        if (this.deny.some(pattern => pattern.test(name))) {
+            return 'denied by the bridge policy';
+        }
+        if (this.allow.length > 0 && !this.allow.some(pattern => pattern.test(name))) {
+            return 'not in the bridge allow-list';
+        }
+        if (this.readOnly) {
+            if (!annotations) {
+                return 'read-only mode allows only tools listed with readOnlyHint';
+            }
+            if (annotations.readOnlyHint !== true || annotations.destructiveHint === true) {
+                return 'read-only mode allows only tools annotated readOnlyHint';
+            }
+        }
+        return null;
+    }
+
+    // Drops disallowed tools from a tools/list result
+    filterTools(tools) {
+        for (const tool of tools) {
+            this.annotations.set(tool.name, tool.annotations || {});
+        }
+        return tools.filter(tool => this.check(tool.name) === null);
+    }
+}
+
+module.exports = {
+    loadPolicy,
+    ToolPolicy
+};
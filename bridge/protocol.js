@@ -0,0 +1,36 @@
+/**
+ * MCP protocol version negotiation for the bridge
+ */
+
+// Newest first; the first entry is what the bridge offers when the client's version is unknown
+const DEFAULT_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const VERSION_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Picks the protocol version for a session following the MCP lifecycle rules:
+ * a supported requested version is echoed back, otherwise the latest supported version is
+ * offered and the client decides whether to continue. A missing or malformed version cannot
+ * be negotiated and yields an error instead.
+ */
+function negotiateProtocolVersion(requested, supported = DEFAULT_PROTOCOL_VERSIONS) {
+    if (typeof requested !== 'string' || !VERSION_PATTERN.test(requested)) {
+        return {
+            error: {
+                message: 'Unsupported protocol version',
+                data: { supported, requested: requested === undefined ? null : requested }
+            }
+        };
+    }
+
+    if (supported.includes(requested)) {
+        return { version: requested, reason: 'requested version is supported' };
+    }
+
+    return { version: supported[0], reason: `requested version ${requested} is not supported, offering latest` };
+}
+
+module.exports = {
+    DEFAULT_PROTOCOL_VERSIONS,
+    negotiateProtocolVersion
+};
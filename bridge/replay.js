@@ -0,0 +1,174 @@
+/**
+ * Offline replay transport for the MCP bridge
+ * Answers requests from a recorded JSONL fixture instead of an upstream server, so Claude
+ * Desktop can be pointed at the SEC tools without running the .NET backend
+ */
+
+const fs = require('fs');
+const { canonical, createError, isNotification, isResponse } = require('./jsonrpc');
+
+const REPLAY_SESSION_ID = 'replay';
+
+// Answers for list methods missing from a fixture, so a partial recording still initializes
+const DEFAULT_RESULTS = {
+    'ping': {},
+    'tools/list': { tools: [] },
+    'prompts/list': { prompts: [] },
+    'resources/list': { resources: [] },
+    'resources/templates/list': { resourceTemplates: [] }
+};
+
+// Coarse key: the method, plus the tool, prompt or resource it targets
+function methodKey(request) {
+    const params = request.params || {};
+    switch (request.method) {
+        case 'tools/call':
+        case 'prompts/get':
+            return `${request.method}:${params.name}`;
+        case 'resources/read':
+            return `${request.method}:${params.uri}`;
+        default:
+            return request.method;
+    }
+}
+
+function exactKey(request) {
+    // Client-specific initialize params (versions, client info) must not prevent a match
+    if (request.method === 'initialize') {
+        return 'initialize';
+    }
+    return `${methodKey(request)}|${canonical(request.params || {})}`;
+}
+
+/**
+ * Reads request/response pairs from a fixture. Two line formats are accepted and can be mixed:
+ * records written by the bridge's --capture option ({"type":"exchange","request":...,"response":...}),
+ * and plain JSON-RPC messages where each response follows the request with the same id.
+ */
+function loadFixture(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    const exchanges = [];
+    const pending = new Map();
+
+    content.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) {
+            return;
+        }
+
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`line ${index + 1} is not valid JSON: ${error.message}`);
+        }
+
+        if (record.type === 'exchange') {
+            if (record.request && record.response) {
+                exchanges.push({ request: record.request, response: record.response });
+            }
+        } else if (record.type !== undefined) {
+            // client-message / server-message records carry nothing to answer with
+        } else if (isResponse(record)) {
+            const request = pending.get(record.id);
+            if (request) {
+                pending.delete(record.id);
+                exchanges.push({ request, response: record });
+            }
+        } else if (typeof record.method === 'string' && !isNotification(record)) {
+            pending.set(record.id, record);
+        }
+    });
+
+    if (exchanges.length === 0) {
+        throw new Error('no request/response pairs found');
+    }
+    return exchanges;
+}
+
+/**
+ * Drop-in replacement for HttpTransport. A request is matched on method and params first,
+ * then on method and target alone; when several recordings match they are served in order
+ * and the last one repeats, so polling tools like get_crawl_status play back a progression.
+ */
+class ReplayTransport {
+    constructor(exchanges) {
+        this.exact = new Map();
+        this.byMethod = new Map();
+        for (const exchange of exchanges) {
+            this.record(this.exact, exactKey(exchange.request), exchange.response);
+            this.record(this.byMethod, methodKey(exchange.request), exchange.response);
+        }
+        this.protocolVersion = null;
+        this.sessionId = null;
+    }
+
+    record(index, key, response) {
+        if (!index.has(key)) {
+            index.set(key, { responses: [], next: 0 });
+        }
+        index.get(key).responses.push(response);
+    }
+
+    take(index, key) {
+        const entry = index.get(key);
+        if (!entry) {
+            return null;
+        }
+        const response = entry.responses[Math.min(entry.next, entry.responses.length - 1)];
+        entry.next++;
+        return response;
+    }
+
+    setProtocolVersion(version) {
+        this.protocolVersion = version;
+    }
+
+    setSessionId(sessionId) {
+        this.sessionId = sessionId || null;
+    }
+
+    // Builds the JSON-RPC response for a request, answering with the caller's id
+    respond(request) {
+        const recorded = this.take(this.exact, exactKey(request)) || this.take(this.byMethod, methodKey(request));
+        if (recorded) {
+            return { ...recorded, jsonrpc: "2.0", id: request.id };
+        }
+        if (DEFAULT_RESULTS[request.method]) {
+            return { jsonrpc: "2.0", id: request.id, result: DEFAULT_RESULTS[request.method] };
+        }
+        if (request.method === 'initialize') {
+            return {
+                jsonrpc: "2.0",
+                id: request.id,
+                result: {
+                    protocolVersion: request.params?.protocolVersion,
+                    capabilities: { tools: {} },
+                    serverInfo: { name: "edgar-processor-replay", version: "1.0.0" }
+                }
+            };
+        }
+        return createError('method-not-found', `No recorded response for ${methodKey(request)}`, request.id);
+    }
+
+    async post(payload) {
+        if (payload.method === undefined || isNotification(payload)) {
+            return { statusCode: 202, headers: {}, body: '' };
+        }
+        const headers = payload.method === 'initialize' ? { 'mcp-session-id': REPLAY_SESSION_ID } : {};
+        return { statusCode: 200, headers, body: JSON.stringify(this.respond(payload)) };
+    }
+
+    // A fixture has no server-initiated traffic to stream
+    listen() {}
+
+    async endSession() {
+        this.sessionId = null;
+    }
+
+    close() {}
+}
+
+module.exports = {
+    loadFixture,
+    ReplayTransport
+};
@@ -0,0 +1,201 @@
+/**
+ * Retry and circuit breaker helpers for upstream calls made by the MCP bridge
+ */
+
+const timers = require('timers/promises');
+const { logger } = require('./logger');
+
+// Failures that mean the request never reached a working server (e.g. a dev-server restart)
+const RETRYABLE_ERROR_CODES = new Set([
+    'ECONNREFUSED',
+    'ECONNRESET',
+    'EHOSTUNREACH',
+    'ENETUNREACH',
+    'EPIPE',
+    'EAI_AGAIN'
+]);
+
+const RETRYABLE_STATUS_CODES = new Set([502, 503, 504]);
+
+// Methods that can be repeated without side effects
+const IDEMPOTENT_METHODS = new Set([
+    'initialize',
+    'ping',
+    'tools/list',
+    'prompts/list',
+    'prompts/get',
+    'resources/list',
+    'resources/templates/list',
+    'resources/read'
+]);
+
+// Rejects with an AbortError if the signal fires while waiting
+function sleep(ms, signal) {
+    return timers.setTimeout(ms, undefined, { signal });
+}
+
+// Exponential backoff with full jitter: a random delay up to base * 2^attempt, capped at max
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+    return Math.round(random() * ceiling);
+}
+
+// Honours a Retry-After header given in seconds; HTTP dates are ignored
+function retryAfterMs(headers) {
+    const value = headers && headers['retry-after'];
+    if (value && /^\d+$/.test(value.trim())) {
+        return parseInt(value, 10) * 1000;
+    }
+    return null;
+}
+
+class CircuitOpenError extends Error {
+    constructor(retryInMs) {
+        super(`MCP server is unavailable after repeated failures; next attempt in ${Math.ceil(retryInMs / 1000)}s`);
+        this.name = 'CircuitOpenError';
+        this.code = 'ECIRCUITOPEN';
+        this.retryInMs = retryInMs;
+    }
+}
+
+/**
+ * Classic three-state breaker. After `threshold` consecutive failures it opens and rejects
+ * calls immediately; once `resetMs` has passed a single probe call is let through
+ * (half-open) and its outcome closes or re-opens the circuit.
+ */
+class CircuitBreaker {
+    constructor({ threshold, resetMs }, now = Date.now) {
+        this.threshold = threshold;
+        this.resetMs = resetMs;
+        this.now = now;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = 0;
+        this.probeInFlight = false;
+    }
+
+    // Throws CircuitOpenError when the call must not be attempted
+    beforeRequest() {
+        if (this.threshold <= 0 || this.state === 'closed') {
+            return;
+        }
+
+        if (this.state === 'open') {
+            const elapsed = this.now() - this.openedAt;
+            if (elapsed < this.resetMs) {
+                throw new CircuitOpenError(this.resetMs - elapsed);
+            }
+            this.state = 'half-open';
+            logger.info('Circuit half-open, probing MCP server');
+        }
+
+        if (this.probeInFlight) {
+            throw new CircuitOpenError(this.resetMs);
+        }
+        this.probeInFlight = true;
+    }
+
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            logger.info('Circuit closed, MCP server recovered');
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.probeInFlight = false;
+    }
+
+    // Releases a half-open probe slot for a call that was cancelled before it could tell us anything
+    release() {
+        this.probeInFlight = false;
+        if (this.state === 'half-open') {
+            this.state = 'open';
+        }
+    }
+
+    recordFailure() {
+        this.failures++;
+        this.probeInFlight = false;
+
+        if (this.threshold <= 0) {
+            return;
+        }
+        if (this.state === 'half-open' || this.failures >= this.threshold) {
+            if (this.state !== 'open') {
+                logger.warn('Circuit open', { failures: this.failures, resetMs: this.resetMs });
+            }
+            this.state = 'open';
+            this.openedAt = this.now();
+        }
+    }
+}
+
+/**
+ * Caps how many requests are sent upstream at once; callers beyond the limit wait in FIFO order.
+ * A limit of 0 means no limit.
+ */
+class ConcurrencyLimiter {
+    constructor(limit) {
+        this.limit = limit;
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    // Resolves with a release function once a slot is free; rejects if the signal fires while queued
+    acquire(signal) {
+        if (signal?.aborted) {
+            return Promise.reject(signal.reason);
+        }
+        if (this.limit <= 0 || this.active < this.limit) {
+            this.active++;
+            return Promise.resolve(this.releaser());
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                grant: () => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve(this.releaser());
+                }
+            };
+            const onAbort = () => {
+                this.waiting.splice(this.waiting.indexOf(waiter), 1);
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            this.waiting.push(waiter);
+        });
+    }
+
+    // A release function that only counts once, handing the slot straight to the next waiter
+    releaser() {
+        let released = false;
+        return () => {
+            if (released) {
+                return;
+            }
+            released = true;
+            const next = this.waiting.shift();
+            if (next) {
+                next.grant();
+            } else {
+                this.active--;
+            }
+        };
+    }
+
+    get queued() {
+        return this.waiting.length;
+    }
+}
+
+module.exports = {
+    RETRYABLE_ERROR_CODES,
+    RETRYABLE_STATUS_CODES,
+    IDEMPOTENT_METHODS,
+    sleep,
+    backoffDelay,
+    retryAfterMs,
+    CircuitOpenError,
+    CircuitBreaker,
+    ConcurrencyLimiter
+};
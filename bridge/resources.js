@@ -0,0 +1,218 @@
+/**
+ * Synthetic MCP resources published by the bridge (--resources, implied by --native)
+ * The crawl dashboard data behind /crawl-metrics and /crawl-errors is exposed as edgar:// resources;
+ * subscriptions are served by polling the REST routes and announcing changes with
+ * notifications/resources/updated
+ */
+
+const { createError } = require('./jsonrpc');
+const { RestError } = require('./rest');
+const { recentErrors } = require('./native');
+const { logger } = require('./logger');
+
+const RECENT_ERRORS_LIMIT = 50;
+const YEARLY_PREFIX = 'edgar://metrics/yearly/';
+
+const RESOURCES = [
+    {
+        uri: 'edgar://metrics/overall',
+        name: 'Overall crawl metrics',
+        description: 'Document totals, success rate and form type counts across all crawled companies, with a per-company breakdown',
+        mimeType: 'application/json'
+    },
+    {
+        uri: 'edgar://errors/recent',
+        name: 'Recent processing errors',
+        description: `The ${RECENT_ERRORS_LIMIT} most recent documents that failed to process, newest first`,
+        mimeType: 'application/json'
+    }
+];
+
+const RESOURCE_TEMPLATES = [
+    {
+        uriTemplate: `${YEARLY_PREFIX}{company}`,
+        name: 'Yearly crawl metrics for a company',
+        description: 'Crawl metrics for one company broken down by filing year',
+        mimeType: 'application/json'
+    }
+];
+
+// The REST call behind a synthetic URI, or null when the URI is not one of ours
+function routeFor(uri) {
+    if (uri === 'edgar://metrics/overall') {
+        return { segments: ['crawl-metrics'] };
+    }
+    if (uri === 'edgar://errors/recent') {
+        return { segments: ['crawl-errors'], transform: errors => recentErrors(errors, RECENT_ERRORS_LIMIT) };
+    }
+    if (typeof uri === 'string' && uri.startsWith(YEARLY_PREFIX) && uri.length > YEARLY_PREFIX.length) {
+        let company;
+        try {
+            company = decodeURIComponent(uri.slice(YEARLY_PREFIX.length));
+        } catch (error) {
+            return null;
+        }
+        return { segments: ['crawl-metrics', 'yearly', company] };
+    }
+    return null;
+}
+
+class SyntheticResources {
+    /**
+     * @param {object} options
+     * @param {RestClient} options.rest Client for the upstream's REST routes
+     * @param {number} options.pollMs How often subscribed resources are re-read
+     * @param {function} options.onUpdated Called with the URI of a subscribed resource that changed
+     */
+    constructor({ rest, pollMs, onUpdated }) {
+        this.rest = rest;
+        this.pollMs = pollMs;
+        this.onUpdated = onUpdated;
+        // Subscribed URI -> last text read, null until a read succeeds
+        this.subscriptions = new Map();
+        this.timer = null;
+        this.polling = false;
+    }
+
+    // Requests answered here rather than by the server
+    handles(message) {
+        return ['resources/read', 'resources/subscribe', 'resources/unsubscribe'].includes(message.method)
+            && routeFor(message.params?.uri) !== null;
+    }
+
+    async readText(uri, options) {
+        const { segments, transform = value => value } = routeFor(uri);
+        const value = await this.rest.get(segments, {}, options);
+        return JSON.stringify(transform(value), null, 2);
+    }
+
+    async respond(message, options) {
+        const { uri } = message.params;
+        switch (message.method) {
+            case 'resources/read':
+                try {
+                    const text = await this.readText(uri, options);
+                    return { jsonrpc: "2.0", id: message.id, result: { contents: [{ uri, mimeType: 'application/json', text }] } };
+                } catch (error) {
+                    return this.errorResponse(error, message);
+                }
+            case 'resources/subscribe':
+                await this.subscribe(uri);
+                return { jsonrpc: "2.0", id: message.id, result: {} };
+            default:
+                this.unsubscribe(uri);
+                return { jsonrpc: "2.0", id: message.id, result: {} };
+        }
+    }
+
+    errorResponse(error, message) {
+        if (error instanceof RestError) {
+            return createError('server-error', error.message, message.id, { status: error.status });
+        }
+        if (error.code === 'ETIMEDOUT') {
+            return createError('timeout-error', error.message, message.id);
+        }
+        return createError('connection-error', `Failed to connect to the API server: ${error.message}`, message.id);
+    }
+
+    /**
+     * Adds the synthetic resources to the server's answers: the resources capability on initialize
+     * and the first page of resources/list and resources/templates/list. A server without
+     * resources support still gets the synthetic ones listed.
+     */
+    extend(message, response) {
+        const firstPage = !message.params?.cursor;
+        const unsupported = response.error?.code === -32601;
+        switch (message.method) {
+            case 'initialize':
+                if (response.result) {
+                    const capabilities = response.result.capabilities || {};
+                    response.result.capabilities = { ...capabilities, resources: { ...capabilities.resources, subscribe: true } };
+                }
+                return response;
+            case 'resources/list':
+                if (firstPage && (response.result || unsupported)) {
+                    return { jsonrpc: "2.0", id: message.id, result: { ...response.result, resources: [...RESOURCES, ...(response.result?.resources || [])] } };
+                }
+                return response;
+            case 'resources/templates/list':
+                if (firstPage && (response.result || unsupported)) {
+                    return {
+                        jsonrpc: "2.0",
+                        id: message.id,
+                        result: { ...response.result, resourceTemplates: [...RESOURCE_TEMPLATES, ...(response.result?.resourceTemplates || [])] }
+                    };
+                }
+                return response;
+            default:
+                return response;
+        }
+    }
+
+    // Takes a baseline so only changes made after subscribing are announced
+    async subscribe(uri) {
+        if (this.subscriptions.has(uri)) {
+            return;
+        }
+        this.subscriptions.set(uri, null);
+        try {
+            this.subscriptions.set(uri, await this.readText(uri));
+        } catch (error) {
+            logger.warn('Unable to read subscribed resource', { uri, error: error.message });
+        }
+        if (!this.timer) {
+            this.timer = setInterval(() => this.poll(), this.pollMs);
+            this.timer.unref();
+        }
+        logger.info('Resource subscribed', { uri, pollMs: this.pollMs });
+    }
+
+    unsubscribe(uri) {
+        this.subscriptions.delete(uri);
+        if (this.subscriptions.size === 0) {
+            this.close();
+        }
+    }
+
+    async poll() {
+        // A slow API must not stack up overlapping polls
+        if (this.polling) {
+            return;
+        }
+        this.polling = true;
+        try {
+            for (const [uri, previous] of this.subscriptions) {
+                let text;
+                try {
+                    text = await this.readText(uri);
+                } catch (error) {
+                    logger.warn('Polling subscribed resource failed', { uri, error: error.message });
+                    continue;
+                }
+                // Unsubscribed while the read was in flight
+                if (!this.subscriptions.has(uri)) {
+                    continue;
+                }
+                this.subscriptions.set(uri, text);
+                if (previous !== null && text !== previous) {
+                    this.onUpdated(uri);
+                }
+            }
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    close() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = {
+    RESOURCES,
+    RESOURCE_TEMPLATES,
+    SyntheticResources
+};
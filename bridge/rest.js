@@ -0,0 +1,110 @@
+/**
+ * Minimal JSON client for the API server's REST routes, used by the bridge's native mode
+ * Shares the upstream's headers (including the bearer token) and TLS settings
+ */
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const MAX_ERROR_BODY_LENGTH = 1000;
+
+// The REST routes live next to /mcp, so "https://host/api/mcp" serves "https://host/api/crawl-metrics"
+function restBaseUrl(url) {
+    const base = new URL(url);
+    base.pathname = base.pathname.replace(/\/mcp\/?$/, '').replace(/\/?$/, '/');
+    base.search = '';
+    return base;
+}
+
+// A REST route answered with an error status; network failures keep their own error codes
+class RestError extends Error {
+    constructor(method, path, status, body) {
+        const detail = body ? `: ${body.slice(0, MAX_ERROR_BODY_LENGTH)}` : '';
+        super(`${method} ${path} failed with HTTP ${status}${detail}`);
+        this.name = 'RestError';
+        this.status = status;
+    }
+}
+
+class RestClient {
+    constructor(config) {
+        this.config = config;
+        this.baseUrl = restBaseUrl(config.url);
+        this.client = this.baseUrl.protocol === 'https:' ? https : http;
+    }
+
+    // Builds the URL for a route; path segments are encoded, undefined query values dropped
+    urlFor(segments, query = {}) {
+        const url = new URL(segments.map(encodeURIComponent).join('/'), this.baseUrl);
+        for (const [key, value] of Object.entries(query)) {
+            if (value !== undefined && value !== null && value !== '') {
+                url.searchParams.set(key, value);
+            }
+        }
+        return url;
+    }
+
+    /**
+     * GETs a route and resolves with the parsed JSON body. Rejects with a RestError for
+     * error statuses, and with an ETIMEDOUT error when the server stops answering.
+     */
+    get(segments, query, { timeoutMs = DEFAULT_TIMEOUT_MS, signal } = {}) {
+        const url = this.urlFor(segments, query);
+        const options = {
+            method: 'GET',
+            headers: {
+                ...this.config.headers,
+                'Accept': 'application/json'
+            }
+        };
+        if (url.protocol === 'https:') {
+            options.rejectUnauthorized = this.config.tls.rejectUnauthorized;
+            if (this.config.tls.ca) {
+                options.ca = this.config.tls.ca;
+            }
+        }
+        if (signal) {
+            options.signal = signal;
+        }
+
+        return new Promise((resolve, reject) => {
+            const req = this.client.request(url, options, (res) => {
+                let data = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    data += chunk;
+                });
+                res.on('end', () => {
+                    if (res.statusCode >= 400) {
+                        reject(new RestError('GET', url.pathname, res.statusCode, data));
+                        return;
+                    }
+                    try {
+                        resolve(data ? JSON.parse(data) : null);
+                    } catch (error) {
+                        reject(new RestError('GET', url.pathname, res.statusCode, `invalid JSON (${error.message})`));
+                    }
+                });
+                res.on('error', reject);
+            });
+
+            req.on('error', reject);
+
+            req.setTimeout(timeoutMs, () => {
+                const error = new Error(`GET ${url.pathname} timed out`);
+                error.code = 'ETIMEDOUT';
+                reject(error);
+                req.destroy();
+            });
+
+            req.end();
+        });
+    }
+}
+
+module.exports = {
+    restBaseUrl,
+    RestError,
+    RestClient
+};
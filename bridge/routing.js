@@ -0,0 +1,94 @@
+/**
+ * Namespacing helpers for bridging several upstream MCP servers as one
+ * Tools and prompts are exposed as "<upstream>.<name>" and resources as "<upstream>.<uri>"
+ * (e.g. "prod.search_documents", "prod.edgar://metrics/overall")
+ */
+
+const NAMESPACE_SEPARATOR = '.';
+
+// Upstream names end up in tool names, so keep them short identifiers without the separator
+const UPSTREAM_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+// List methods that are fanned out to every upstream: the result field holding the items and
+// the item field that gets namespaced
+const LIST_METHODS = {
+    'tools/list': { field: 'tools', key: 'name' },
+    'prompts/list': { field: 'prompts', key: 'name' },
+    'resources/list': { field: 'resources', key: 'uri' },
+    'resources/templates/list': { field: 'resourceTemplates', key: 'uriTemplate' }
+};
+
+// Methods sent to a single upstream, chosen by the namespace of this param
+const ROUTED_METHODS = {
+    'tools/call': 'name',
+    'prompts/get': 'name',
+    'resources/read': 'uri',
+    'resources/subscribe': 'uri',
+    'resources/unsubscribe': 'uri'
+};
+
+function qualify(namespace, value) {
+    return `${namespace}${NAMESPACE_SEPARATOR}${value}`;
+}
+
+// Splits "prod.search_documents" into its namespace and the upstream's own name
+function splitQualified(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const separator = value.indexOf(NAMESPACE_SEPARATOR);
+    if (separator <= 0) {
+        return null;
+    }
+    return { namespace: value.slice(0, separator), name: value.slice(separator + 1) };
+}
+
+/**
+ * Merges one list method's results from several upstreams.
+ * @param {string} method One of LIST_METHODS
+ * @param {Array<{namespace: string, result: object}>} results Successful upstream results
+ */
+function mergeListResults(method, results) {
+    const { field, key } = LIST_METHODS[method];
+    const items = [];
+    for (const { namespace, result } of results) {
+        for (const item of result?.[field] || []) {
+            const merged = { ...item, [key]: qualify(namespace, item[key]) };
+            if (typeof item.description === 'string' && key === 'name') {
+                merged.description = `[${namespace}] ${item.description}`;
+            }
+            items.push(merged);
+        }
+    }
+    // Pagination cursors are per upstream and cannot be merged, so only first pages are listed
+    return { [field]: items };
+}
+
+// Union of the capabilities the upstreams advertise; a flag is on if any upstream sets it
+function mergeCapabilities(capabilityList) {
+    const merged = {};
+    for (const capabilities of capabilityList) {
+        for (const [name, value] of Object.entries(capabilities || {})) {
+            if (value && typeof value === 'object') {
+                const current = merged[name] || {};
+                for (const [flag, flagValue] of Object.entries(value)) {
+                    current[flag] = flagValue === true ? true : (current[flag] ?? flagValue);
+                }
+                merged[name] = current;
+            } else if (merged[name] === undefined) {
+                merged[name] = value;
+            }
+        }
+    }
+    return merged;
+}
+
+module.exports = {
+    UPSTREAM_NAME_PATTERN,
+    LIST_METHODS,
+    ROUTED_METHODS,
+    qualify,
+    splitQualified,
+    mergeListResults,
+    mergeCapabilities
+};
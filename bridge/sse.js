@@ -0,0 +1,100 @@
+/**
+ * Incremental parser for text/event-stream bodies
+ * Follows the WHATWG server-sent events field rules (data, event, id, retry, comments)
+ */
+
+class SSEParser {
+    constructor(onEvent) {
+        this.onEvent = onEvent;
+        this.buffer = '';
+        // The last event id and retry interval persist across events, as in EventSource
+        this.lastEventId = undefined;
+        this.retry = undefined;
+        this.reset();
+    }
+
+    reset() {
+        this.data = [];
+        this.eventType = '';
+    }
+
+    // Feed a decoded chunk; complete events are dispatched as soon as their blank line arrives
+    push(chunk) {
+        this.buffer += chunk;
+
+        let match;
+        const lineBreak = /\r\n|\r|\n/;
+        while ((match = lineBreak.exec(this.buffer)) !== null) {
+            // A trailing \r may be the first half of \r\n; wait for more input
+            if (match[0] === '\r' && match.index === this.buffer.length - 1) {
+                break;
+            }
+            const line = this.buffer.slice(0, match.index);
+            this.buffer = this.buffer.slice(match.index + match[0].length);
+            this.processLine(line);
+        }
+    }
+
+    // Flush whatever is left when the stream ends
+    end() {
+        if (this.buffer) {
+            this.processLine(this.buffer);
+            this.buffer = '';
+        }
+        this.dispatch();
+    }
+
+    processLine(line) {
+        if (line === '') {
+            this.dispatch();
+            return;
+        }
+        if (line.startsWith(':')) {
+            return;
+        }
+
+        const separator = line.indexOf(':');
+        const field = separator === -1 ? line : line.slice(0, separator);
+        let value = separator === -1 ? '' : line.slice(separator + 1);
+        if (value.startsWith(' ')) {
+            value = value.slice(1);
+        }
+
+        switch (field) {
+            case 'data':
+                this.data.push(value);
+                break;
+            case 'event':
+                this.eventType = value;
+                break;
+            case 'id':
+                if (!value.includes('\0')) {
+                    this.lastEventId = value;
+                }
+                break;
+            case 'retry':
+                if (/^\d+$/.test(value)) {
+                    this.retry = parseInt(value, 10);
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    dispatch() {
+        if (this.data.length > 0) {
+            this.onEvent({
+                type: this.eventType || 'message',
+                data: this.data.join('\n'),
+                id: this.lastEventId,
+                retry: this.retry
+            });
+        }
+        this.reset();
+    }
+}
+
+module.exports = {
+    SSEParser
+};
@@ -0,0 +1,526 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { ERROR_CODES } = require('../jsonrpc');
+const { loadConfig } = require('../config');
+const { Doctor } = require('../doctor');
+const { SERVER_INFO, startFakeServer, startBridge, eventually, initializeRequest } = require('./helpers');
+
+// Runs `body` with a fresh fake server and bridge, and always tears both down
+async function withBridge(handlers, args, body) {
+    const server = await startFakeServer(handlers);
+    const client = startBridge(server.url, args);
+    try {
+        await body({ server, client });
+    } finally {
+        await client.stop();
+        await server.close();
+    }
+}
+
+// A port that refuses connections: bound once, then released
+async function closedPort() {
+    const probe = net.createServer();
+    await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+    const { port } = probe.address();
+    await new Promise(resolve => probe.close(resolve));
+    return port;
+}
+
+// A path in a fresh temporary directory that is removed after the test
+function tempFile(t, name) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-bridge-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, name);
+}
+
+test('notifications are forwarded and never answered', async () => {
+    await withBridge({}, [], async ({ server, client }) => {
+        client.send({ jsonrpc: "2.0", method: 'notifications/initialized' });
+        client.send({ jsonrpc: "2.0", id: 1, method: 'ping' });
+
+        // The ping answer is the first thing written, so nothing came back for the notification
+        assert.deepEqual(await client.next(), { jsonrpc: "2.0", id: 1, result: {} });
+        await eventually(() => server.received('notifications/initialized').length === 1);
+    });
+});
+
+test('id 0 is answered with id 0', async () => {
+    await withBridge({ 'tools/list': () => ({ tools: [{ name: 'search_documents' }] }) }, [], async ({ client }) => {
+        client.send({ jsonrpc: "2.0", id: 0, method: 'tools/list' });
+        const response = await client.next();
+        assert.equal(response.id, 0);
+        assert.equal(response.result.tools[0].name, 'search_documents');
+    });
+});
+
+test('a cancellation for id 0 cancels that request', async () => {
+    const handlers = { slow: () => ({ status: 200, delayMs: 500, body: { jsonrpc: "2.0", id: 0, result: {} } }) };
+    await withBridge(handlers, [], async ({ client }) => {
+        client.send({ jsonrpc: "2.0", id: 0, method: 'slow' });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        client.send({ jsonrpc: "2.0", method: 'notifications/cancelled', params: { requestId: 0 } });
+        client.send({ jsonrpc: "2.0", id: 1, method: 'ping' });
+
+        assert.equal((await client.next()).id, 1);
+        await new Promise(resolve => setTimeout(resolve, 600));
+        assert.deepEqual(client.pending(), []);
+    });
+});
+
+test('batch responses keep the request order and leave out notifications', async () => {
+    const handlers = {
+        slow: message => ({ status: 200, delayMs: 100, body: { jsonrpc: "2.0", id: message.id, result: { slow: true } } }),
+        fast: () => ({ fast: true })
+    };
+    await withBridge(handlers, [], async ({ server, client }) => {
+        client.send([
+            { jsonrpc: "2.0", id: 'a', method: 'slow' },
+            { jsonrpc: "2.0", method: 'notifications/progress', params: {} },
+            { jsonrpc: "2.0", id: 'b', method: 'fast' },
+            { jsonrpc: "2.0", id: 'c' }
+        ]);
+
+        const responses = await client.next();
+        assert.deepEqual(responses.map(response => response.id), ['a', 'b', 'c']);
+        assert.deepEqual(responses[0].result, { slow: true });
+        assert.deepEqual(responses[1].result, { fast: true });
+        assert.equal(responses[2].error.code, ERROR_CODES.INVALID_REQUEST);
+        await eventually(() => server.received('notifications/progress').length === 1);
+    });
+});
+
+test('a batch of notifications gets no reply and an empty batch is an error', async () => {
+    await withBridge({}, [], async ({ server, client }) => {
+        client.send([{ jsonrpc: "2.0", method: 'notifications/initialized' }]);
+        client.send([]);
+
+        const response = await client.next();
+        assert.equal(response.id, null);
+        assert.equal(response.error.code, ERROR_CODES.INVALID_REQUEST);
+        await eventually(() => server.received('notifications/initialized').length === 1);
+        assert.deepEqual(client.pending(), []);
+    });
+});
+
+test('unparseable input is answered with a parse error', async () => {
+    await withBridge({}, [], async ({ client }) => {
+        client.send('{"jsonrpc": "2.0", "id": 1,');
+        const response = await client.next();
+        assert.equal(response.id, null);
+        assert.equal(response.error.code, ERROR_CODES.PARSE_ERROR);
+    });
+});
+
+test('a request the server does not answer in time times out', async () => {
+    const handlers = { slow: message => ({ status: 200, delayMs: 1000, body: { jsonrpc: "2.0", id: message.id, result: {} } }) };
+    await withBridge(handlers, ['--timeout', '100'], async ({ client }) => {
+        client.send({ jsonrpc: "2.0", id: 5, method: 'slow' });
+        const response = await client.next();
+        assert.equal(response.id, 5);
+        assert.equal(response.error.code, ERROR_CODES.REQUEST_TIMEOUT);
+        assert.equal(response.error.data.type, 'timeout-error');
+    });
+});
+
+test('per-method timeouts override the default', async () => {
+    const handlers = { slow: message => ({ status: 200, delayMs: 300, body: { jsonrpc: "2.0", id: message.id, result: { done: true } } }) };
+    await withBridge(handlers, ['--timeout', '100', '--method-timeout', 'slow=2000'], async ({ client }) => {
+        client.send({ jsonrpc: "2.0", id: 5, method: 'slow' });
+        assert.deepEqual((await client.next()).result, { done: true });
+    });
+});
+
+test('an unreachable server is reported as a connection error', async () => {
+    const port = await closedPort();
+    const client = startBridge(`http://127.0.0.1:${port}/mcp`);
+    try {
+        client.send({ jsonrpc: "2.0", id: 3, method: 'tools/list' });
+        const response = await client.next();
+        assert.equal(response.id, 3);
+        assert.equal(response.error.code, ERROR_CODES.UPSTREAM_UNAVAILABLE);
+        assert.equal(response.error.data.type, 'connection-error');
+    } finally {
+        await client.stop();
+    }
+});
+
+test('a body that is not JSON-RPC is reported as an invalid response', async () => {
+    await withBridge({ 'tools/list': () => ({ status: 200, body: '<html>proxy page</html>' }) }, [], async ({ client }) => {
+        client.send({ jsonrpc: "2.0", id: 1, method: 'tools/list' });
+        const response = await client.next();
+        assert.equal(response.error.code, ERROR_CODES.UPSTREAM_ERROR);
+        assert.equal(response.error.data.status, 200);
+        assert.equal(response.error.data.body, '<html>proxy page</html>');
+    });
+});
+
+test('HTTP error statuses map to bridge errors', async () => {
+    const handlers = {
+        'tools/list': () => ({ status: 500, body: 'boom' }),
+        'prompts/list': () => ({ status: 401, body: '' }),
+        'resources/list': () => ({ status: 404, body: 'Not Found' })
+    };
+    await withBridge(handlers, [], async ({ client }) => {
+        client.send({ jsonrpc: "2.0", id: 1, method: 'tools/list' });
+        const serverError = await client.next();
+        assert.equal(serverError.error.code, ERROR_CODES.UPSTREAM_ERROR);
+        assert.deepEqual(serverError.error.data, { type: 'server-error', status: 500, body: 'boom' });
+
+        client.send({ jsonrpc: "2.0", id: 2, method: 'prompts/list' });
+        assert.equal((await client.next()).error.code, ERROR_CODES.UNAUTHORIZED);
+
+        client.send({ jsonrpc: "2.0", id: 3, method: 'resources/list' });
+        assert.equal((await client.next()).error.code, ERROR_CODES.ENDPOINT_NOT_FOUND);
+    });
+});
+
+test('a JSON-RPC error from the server passes through whatever the HTTP status', async () => {
+    const error = { code: -32602, message: 'Unknown tool' };
+    const handlers = { 'tools/call': message => ({ status: 400, body: { jsonrpc: "2.0", id: message.id, error } }) };
+    await withBridge(handlers, [], async ({ client }) => {
+        client.send({ jsonrpc: "2.0", id: 9, method: 'tools/call', params: { name: 'nope' } });
+        assert.deepEqual(await client.next(), { jsonrpc: "2.0", id: 9, error });
+    });
+});
+
+test('a supported protocol version is echoed and sent on later requests', async () => {
+    await withBridge({}, [], async ({ server, client }) => {
+        client.send(initializeRequest(1, '2025-03-26'));
+        const response = await client.next();
+        assert.equal(response.result.protocolVersion, '2025-03-26');
+        assert.deepEqual(response.result.serverInfo, SERVER_INFO);
+        assert.equal(server.received('initialize')[0].message.params.protocolVersion, '2025-03-26');
+
+        client.send({ jsonrpc: "2.0", id: 2, method: 'tools/list' });
+        await client.next();
+        const { headers } = server.received('tools/list')[0];
+        assert.equal(headers['mcp-protocol-version'], '2025-03-26');
+        assert.equal(headers['mcp-session-id'], 'session-1');
+    });
+});
+
+test('an unsupported protocol version is answered with the latest supported one', async () => {
+    await withBridge({}, ['--protocol-versions', '2025-06-18,2024-11-05'], async ({ server, client }) => {
+        client.send(initializeRequest(1, '2099-01-01'));
+        assert.equal((await client.next()).result.protocolVersion, '2025-06-18');
+        assert.equal(server.received('initialize')[0].message.params.protocolVersion, '2025-06-18');
+    });
+});
+
+test('the negotiated version wins over the one the server reports', async () => {
+    const handlers = {
+        initialize: () => ({ protocolVersion: '2024-11-05', capabilities: {}, serverInfo: SERVER_INFO })
+    };
+    await withBridge(handlers, [], async ({ client }) => {
+        client.send(initializeRequest(1, '2025-06-18'));
+        assert.equal((await client.next()).result.protocolVersion, '2025-06-18');
+    });
+});
+
+test('initialize without a protocol version is rejected before reaching the server', async () => {
+    await withBridge({}, [], async ({ server, client }) => {
+        const request = initializeRequest(1);
+        delete request.params.protocolVersion;
+        client.send(request);
+
+        const response = await client.next();
+        assert.equal(response.error.code, ERROR_CODES.INVALID_PARAMS);
+        assert.equal(response.error.data.requested, null);
+        assert.equal(server.received('initialize').length, 0);
+    });
+});
+
+test('closing stdin waits for pending requests before exiting', async () => {
+    const handlers = { slow: message => ({ status: 200, delayMs: 200, body: { jsonrpc: "2.0", id: message.id, result: { done: true } } }) };
+    const server = await startFakeServer(handlers);
+    const client = startBridge(server.url);
+    try {
+        client.send({ jsonrpc: "2.0", id: 1, method: 'slow' });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(await client.stop(), 0);
+        assert.deepEqual(client.pending().map(response => response.result), [{ done: true }]);
+    } finally {
+        await server.close();
+    }
+});
+
+const TOOLS = [
+    { name: 'get_crawl_status', inputSchema: { type: 'object' }, annotations: { readOnlyHint: true } },
+    { name: 'start_crawl', inputSchema: { type: 'object' }, annotations: { readOnlyHint: false, destructiveHint: false } }
+];
+
+test('cached responses are served until their TTL expires', async () => {
+    await withBridge({ 'tools/list': () => ({ tools: TOOLS }) }, ['--cache', '--cache-ttl', 'tools/list=100'], async ({ server, client }) => {
+        client.send({ jsonrpc: "2.0", id: 1, method: 'tools/list' });
+        await client.next();
+        client.send({ jsonrpc: "2.0", id: 2, method: 'tools/list' });
+        const cached = await client.next();
+        assert.equal(cached.id, 2);
+        assert.equal(cached.result.tools.length, 2);
+        assert.equal(server.received('tools/list').length, 1);
+
+        await new Promise(resolve => setTimeout(resolve, 150));
+        client.send({ jsonrpc: "2.0", id: 3, method: 'tools/list' });
+        await client.next();
+        assert.equal(server.received('tools/list').length, 2);
+    });
+});
+
+test('a call to a tool that is not read-only clears the cache', async () => {
+    const handlers = {
+        'tools/list': () => ({ tools: TOOLS }),
+        'tools/call': () => ({ content: [{ type: 'text', text: 'ok' }] })
+    };
+    await withBridge(handlers, ['--cache'], async ({ server, client }) => {
+        client.send({ jsonrpc: "2.0", id: 1, method: 'tools/list' });
+        await client.next();
+        client.send({ jsonrpc: "2.0", id: 2, method: 'tools/call', params: { name: 'get_crawl_status', arguments: {} } });
+        await client.next();
+        client.send({ jsonrpc: "2.0", id: 3, method: 'tools/list' });
+        await client.next();
+        assert.equal(server.received('tools/list').length, 1);
+
+        client.send({ jsonrpc: "2.0", id: 4, method: 'tools/call', params: { name: 'start_crawl', arguments: {} } });
+        await client.next();
+        client.send({ jsonrpc: "2.0", id: 5, method: 'tools/list' });
+        await client.next();
+        assert.equal(server.received('tools/list').length, 2);
+    });
+});
+
+test('a list_changed notification from the server clears the cache', async () => {
+    await withBridge({ 'tools/list': () => ({ tools: TOOLS }) }, ['--cache'], async ({ server, client }) => {
+        client.send({ jsonrpc: "2.0", id: 1, method: 'tools/list' });
+        await client.next();
+
+        const notification = { jsonrpc: "2.0", method: 'notifications/tools/list_changed' };
+        client.bridge.relayFromServer(client.bridge.upstreams[0], notification);
+        assert.deepEqual(await client.next(), notification);
+
+        client.send({ jsonrpc: "2.0", id: 2, method: 'tools/list' });
+        await client.next();
+        assert.equal(server.received('tools/list').length, 2);
+    });
+});
+
+test('a persisted cache answers after a restart and still marks read-only tools as retryable', async (t) => {
+    const cacheFile = tempFile(t, 'cache.json');
+    await withBridge({ 'tools/list': () => ({ tools: TOOLS }) }, ['--cache-file', cacheFile], async ({ client }) => {
+        client.send({ jsonrpc: "2.0", id: 1, method: 'tools/list' });
+        await client.next();
+    });
+
+    let calls = 0;
+    const handlers = {
+        'tools/call': message => (++calls === 1
+            ? { status: 503, body: 'Service Unavailable' }
+            : { status: 200, body: { jsonrpc: "2.0", id: message.id, result: { content: [{ type: 'text', text: 'idle' }] } } })
+    };
+    await withBridge(handlers, ['--cache-file', cacheFile, '--retries', '1', '--retry-delay', '1'], async ({ server, client }) => {
+        client.send({ jsonrpc: "2.0", id: 1, method: 'tools/list' });
+        assert.equal((await client.next()).result.tools.length, 2);
+        assert.equal(server.received('tools/list').length, 0);
+
+        client.send({ jsonrpc: "2.0", id: 2, method: 'tools/call', params: { name: 'get_crawl_status', arguments: {} } });
+        assert.deepEqual((await client.next()).result.content, [{ type: 'text', text: 'idle' }]);
+        assert.equal(server.received('tools/call').length, 2);
+    });
+});
+
+test('an expired session is re-initialized and the request sent again', async () => {
+    let expired = false;
+    const handlers = {
+        'tools/list': message => {
+            if (!expired) {
+                expired = true;
+                return { status: 404, body: '' };
+            }
+            return { status: 200, body: { jsonrpc: "2.0", id: message.id, result: { tools: TOOLS } } };
+        }
+    };
+    await withBridge(handlers, [], async ({ server, client }) => {
+        client.send(initializeRequest(1));
+        await client.next();
+
+        client.send({ jsonrpc: "2.0", id: 2, method: 'tools/list' });
+        assert.equal((await client.next()).result.tools.length, 2);
+
+        const initializes = server.received('initialize');
+        assert.equal(initializes.length, 2);
+        assert.equal(initializes[1].headers['mcp-session-id'], undefined);
+        assert.deepEqual(initializes[1].message.params, initializes[0].message.params);
+        const lists = server.received('tools/list');
+        assert.equal(lists.length, 2);
+        assert.equal(lists[1].headers['mcp-session-id'], 'session-1');
+        await eventually(() => server.received('notifications/initialized').length === 1);
+    });
+});
+
+test('idempotent requests are retried on 503 and tool calls with side effects are not', async () => {
+    const handlers = {
+        'tools/list': () => ({ status: 503, body: 'Service Unavailable' }),
+        'tools/call': () => ({ status: 503, body: 'Service Unavailable' })
+    };
+    await withBridge(handlers, ['--retries', '2', '--retry-delay', '1', '--breaker-threshold', '0'], async ({ server, client }) => {
+        client.send({ jsonrpc: "2.0", id: 1, method: 'tools/list' });
+        assert.equal((await client.next()).error.code, ERROR_CODES.UPSTREAM_UNAVAILABLE);
+        assert.equal(server.received('tools/list').length, 3);
+
+        client.send({ jsonrpc: "2.0", id: 2, method: 'tools/call', params: { name: 'start_crawl', arguments: {} } });
+        assert.equal((await client.next()).error.code, ERROR_CODES.UPSTREAM_UNAVAILABLE);
+        assert.equal(server.received('tools/call').length, 1);
+    });
+});
+
+test('an open circuit fails requests without reaching the server', async () => {
+    const handlers = { 'tools/list': () => ({ status: 503, body: 'Service Unavailable' }) };
+    await withBridge(handlers, ['--breaker-threshold', '1', '--breaker-reset', '60000'], async ({ server, client }) => {
+        client.send({ jsonrpc: "2.0", id: 1, method: 'tools/list' });
+        await client.next();
+
+        client.send({ jsonrpc: "2.0", id: 2, method: 'tools/list' });
+        const response = await client.next();
+        assert.equal(response.error.code, ERROR_CODES.UPSTREAM_UNAVAILABLE);
+        assert.equal(response.error.data.type, 'circuit-open');
+        assert.equal(server.received('tools/list').length, 1);
+    });
+});
+
+test('read-only mode hides and blocks tools that are not annotated readOnlyHint', async () => {
+    const handlers = {
+        'tools/list': () => ({ tools: TOOLS }),
+        'tools/call': () => ({ content: [{ type: 'text', text: 'ok' }] })
+    };
+    await withBridge(handlers, ['--read-only'], async ({ server, client }) => {
+        client.send({ jsonrpc: "2.0", id: 1, method: 'tools/call', params: { name: 'start_crawl', arguments: {} } });
+        const blocked = await client.next();
+        assert.equal(blocked.error.code, ERROR_CODES.UNAUTHORIZED);
+        assert.equal(blocked.error.data.type, 'tool-not-allowed');
+        // The annotations were fetched for the check, but the call itself never went out
+        assert.equal(server.received('tools/list').length, 1);
+        assert.equal(server.received('tools/call').length, 0);
+
+        client.send({ jsonrpc: "2.0", id: 2, method: 'tools/list' });
+        assert.deepEqual((await client.next()).result.tools.map(tool => tool.name), ['get_crawl_status']);
+    });
+});
+
+test('a policy file denies tools by pattern', async (t) => {
+    const policyFile = tempFile(t, 'policy.json');
+    fs.writeFileSync(policyFile, JSON.stringify({ deny: ['start_*'] }));
+    const handlers = {
+        'tools/list': () => ({ tools: TOOLS }),
+        'tools/call': () => ({ content: [{ type: 'text', text: 'ok' }] })
+    };
+    await withBridge(handlers, ['--policy', policyFile], async ({ server, client }) => {
+        client.send({ jsonrpc: "2.0", id: 1, method: 'tools/list' });
+        assert.deepEqual((await client.next()).result.tools.map(tool => tool.name), ['get_crawl_status']);
+
+        client.send({ jsonrpc: "2.0", id: 2, method: 'tools/call', params: { name: 'start_crawl', arguments: {} } });
+        assert.equal((await client.next()).error.data.type, 'tool-not-allowed');
+        client.send({ jsonrpc: "2.0", id: 3, method: 'tools/call', params: { name: 'get_crawl_status', arguments: {} } });
+        assert.equal((await client.next()).result.content[0].text, 'ok');
+        assert.equal(server.received('tools/call').length, 1);
+    });
+});
+
+test('named upstreams are merged under their namespace and calls are routed by it', async () => {
+    const call = server => message => ({ content: [{ type: 'text', text: `${server} ${message.params.name}` }] });
+    const prod = await startFakeServer({
+        'tools/list': () => ({ tools: [{ name: 'search_documents', description: 'Search', inputSchema: { type: 'object' } }] }),
+        'tools/call': call('prod')
+    });
+    const staging = await startFakeServer({
+        'tools/list': () => ({ tools: [{ name: 'search_documents', inputSchema: { type: 'object' } }] }),
+        'tools/call': call('staging')
+    });
+    const client = startBridge(prod.url, ['--upstream', `prod=${prod.url}`, '--upstream', `staging=${staging.url}`]);
+    try {
+        client.send({ jsonrpc: "2.0", id: 1, method: 'tools/list' });
+        const { tools } = (await client.next()).result;
+        assert.deepEqual(tools.map(tool => tool.name), ['prod.search_documents', 'staging.search_documents']);
+        assert.equal(tools[0].description, '[prod] Search');
+
+        client.send({ jsonrpc: "2.0", id: 2, method: 'tools/call', params: { name: 'staging.search_documents', arguments: {} } });
+        assert.equal((await client.next()).result.content[0].text, 'staging search_documents');
+        assert.equal(prod.received('tools/call').length, 0);
+
+        client.send({ jsonrpc: "2.0", id: 3, method: 'tools/call', params: { name: 'search_documents', arguments: {} } });
+        const unknown = await client.next();
+        assert.equal(unknown.error.code, ERROR_CODES.INVALID_PARAMS);
+        assert.deepEqual(unknown.error.data.upstreams, ['prod', 'staging']);
+    } finally {
+        await client.stop();
+        await prod.close();
+        await staging.close();
+    }
+});
+
+test('replay answers from a recorded fixture in order, repeating the last recording', async (t) => {
+    const fixture = tempFile(t, 'fixture.jsonl');
+    const status = text => ({ content: [{ type: 'text', text }] });
+    fs.writeFileSync(fixture, [
+        { jsonrpc: "2.0", id: 1, method: 'tools/call', params: { name: 'get_crawl_status', arguments: {} } },
+        { jsonrpc: "2.0", id: 1, result: status('running') },
+        { type: 'exchange', request: { jsonrpc: "2.0", id: 2, method: 'tools/call', params: { name: 'get_crawl_status', arguments: {} } }, response: { jsonrpc: "2.0", id: 2, result: status('done') } }
+    ].map(line => JSON.stringify(line)).join('\n'));
+
+    const client = startBridge(`http://127.0.0.1:${await closedPort()}/mcp`, ['--replay', fixture]);
+    try {
+        client.send(initializeRequest(1));
+        assert.equal((await client.next()).result.protocolVersion, '2025-06-18');
+
+        const texts = [];
+        for (const id of [2, 3, 4]) {
+            client.send({ jsonrpc: "2.0", id, method: 'tools/call', params: { name: 'get_crawl_status', arguments: {} } });
+            const response = await client.next();
+            assert.equal(response.id, id);
+            texts.push(response.result.content[0].text);
+        }
+        assert.deepEqual(texts, ['running', 'done', 'done']);
+
+        client.send({ jsonrpc: "2.0", id: 5, method: 'tools/call', params: { name: 'start_crawl', arguments: {} } });
+        assert.equal((await client.next()).error.code, ERROR_CODES.METHOD_NOT_FOUND);
+    } finally {
+        await client.stop();
+    }
+});
+
+// Runs --doctor against `url` and resolves with its exit code and printed report
+async function runDoctor(url) {
+    let report = '';
+    const output = { write: chunk => report += chunk };
+    const exitCode = await new Doctor(loadConfig(['--url', url, '--retries', '0'], {}), output).run();
+    return { exitCode, report };
+}
+
+test('the doctor passes a healthy server and warns about optional methods it lacks', async () => {
+    const handlers = {
+        'tools/list': () => ({ tools: TOOLS }),
+        'tools/call': () => ({ content: [{ type: 'text', text: 'idle' }] })
+    };
+    const server = await startFakeServer(handlers);
+    try {
+        const { exitCode, report } = await runDoctor(server.url);
+        assert.equal(exitCode, 0);
+        assert.match(report, /PASS\s+initialize .*fake-mcp 0\.0\.1/);
+        assert.match(report, /PASS\s+tools\/list .*2 tools, 1 read-only/);
+        assert.match(report, /WARN\s+prompts\/list .*not implemented/);
+        assert.match(report, /PASS\s+tools\/call get_crawl_status/);
+        assert.match(report, /OK: 0 failed, 2 warning\(s\)/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('the doctor fails an unreachable server and skips the remaining checks', async () => {
+    const { exitCode, report } = await runDoctor(`http://127.0.0.1:${await closedPort()}/mcp`);
+    assert.equal(exitCode, 1);
+    assert.match(report, /FAIL\s+initialize .*ECONNREFUSED/);
+    assert.match(report, /SKIP\s+tools\/list .*initialize failed/);
+    assert.match(report, /FAILED: 1 failed/);
+});
@@ -0,0 +1,184 @@
+/**
+ * Test helpers for the MCP bridge: a local fake /mcp server and a bridge wired to in-memory streams
+ */
+
+const http = require('http');
+const readline = require('readline');
+const { PassThrough, Writable } = require('stream');
+const { MCPBridge } = require('../../mcp-bridge');
+const { loadConfig } = require('../config');
+const { logger } = require('../logger');
+
+// Bridge logs would drown the test output
+logger.configure({ output: new Writable({ write: (chunk, encoding, callback) => callback() }) });
+
+const SERVER_INFO = { name: "fake-mcp", version: "0.0.1" };
+
+// Default answers; a handler returns a result, or { status, headers, body, delayMs } for anything else
+const DEFAULT_HANDLERS = {
+    initialize: message => ({
+        protocolVersion: message.params.protocolVersion,
+        capabilities: { tools: {} },
+        serverInfo: SERVER_INFO
+    }),
+    'tools/list': () => ({ tools: [] }),
+    ping: () => ({})
+};
+
+/**
+ * Starts a fake API server on a free port. POSTs to /mcp are answered by `handlers` per method and
+ * recorded in `requests` along with their headers; notifications and client responses are
+ * acknowledged with 202. GETs of the REST routes in `restRoutes` (path with query string) are
+ * answered with that JSON body, or with the { status, body } a function returns, and recorded
+ * in `restRequests`.
+ */
+async function startFakeServer(handlers = {}, restRoutes = {}) {
+    const routes = { ...DEFAULT_HANDLERS, ...handlers };
+    const requests = [];
+    const restRequests = [];
+
+    const server = http.createServer((req, res) => {
+        if (req.method === 'GET' && req.url !== '/mcp') {
+            restRequests.push({ path: req.url, headers: req.headers });
+            const route = restRoutes[req.url];
+            if (route === undefined) {
+                send(res, 404, {}, 'Not Found');
+                return;
+            }
+            const outcome = typeof route === 'function' ? route(req) : { status: 200, body: route };
+            send(res, outcome.status, {}, outcome.body);
+            return;
+        }
+        if (req.method !== 'POST') {
+            res.writeHead(req.method === 'DELETE' ? 200 : 405);
+            res.end();
+            return;
+        }
+
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', async () => {
+            const message = JSON.parse(body);
+            requests.push({ message, headers: req.headers });
+
+            if (message.id === undefined || !message.method) {
+                res.writeHead(202);
+                res.end();
+                return;
+            }
+
+            const handler = routes[message.method];
+            if (!handler) {
+                send(res, 200, {}, { jsonrpc: "2.0", id: message.id, error: { code: -32601, message: 'Method not found' } });
+                return;
+            }
+
+            const outcome = await handler(message, req);
+            if (outcome && outcome.status !== undefined) {
+                if (outcome.delayMs) {
+                    await new Promise(resolve => setTimeout(resolve, outcome.delayMs));
+                }
+                send(res, outcome.status, outcome.headers || {}, outcome.body);
+                return;
+            }
+            const headers = message.method === 'initialize' ? { 'Mcp-Session-Id': 'session-1' } : {};
+            send(res, 200, headers, { jsonrpc: "2.0", id: message.id, result: outcome });
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/mcp`,
+        requests,
+        restRequests,
+        // Requests received for one method, in arrival order
+        received: method => requests.filter(request => request.message.method === method),
+        close: () => {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+// Strings are sent as-is so tests can return malformed bodies
+function send(res, status, headers, body) {
+    if (body === undefined) {
+        res.writeHead(status, headers);
+        res.end();
+        return;
+    }
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(text);
+}
+
+/**
+ * Runs a bridge against `url` with in-memory stdin/stdout. `args` are extra command line options;
+ * retries are off unless a test asks for them and no server event stream is opened.
+ */
+function startBridge(url, args = []) {
+    const config = loadConfig(['--url', url, '--retries', '0', ...args], {});
+    config.listen = false;
+
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const messages = [];
+    const waiters = [];
+    readline.createInterface({ input: output, terminal: false }).on('line', (line) => {
+        const message = JSON.parse(line);
+        const waiter = waiters.shift();
+        if (waiter) {
+            waiter(message);
+        } else {
+            messages.push(message);
+        }
+    });
+
+    let exited;
+    const exitCode = new Promise(resolve => exited = resolve);
+    const bridge = new MCPBridge(config, { input, output, exit: exited });
+
+    return {
+        bridge,
+        send: message => input.write(`${typeof message === 'string' ? message : JSON.stringify(message)}\n`),
+        // Resolves with the next line the bridge writes
+        next: () => messages.length > 0
+            ? Promise.resolve(messages.shift())
+            : new Promise(resolve => waiters.push(resolve)),
+        // Everything written so far and not yet consumed by next()
+        pending: () => messages.splice(0),
+        // Closes stdin the way Claude Desktop does and resolves with the exit code
+        stop: () => {
+            input.end();
+            return exitCode;
+        }
+    };
+}
+
+// Polls until `predicate` holds; one-way messages reach the server without the client seeing a reply
+async function eventually(predicate, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!predicate()) {
+        if (Date.now() > deadline) {
+            throw new Error('Condition not met in time');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+function initializeRequest(id = 1, protocolVersion = '2025-06-18') {
+    return {
+        jsonrpc: "2.0",
+        id,
+        method: 'initialize',
+        params: { protocolVersion, capabilities: {}, clientInfo: { name: "test-client", version: "1.0.0" } }
+    };
+}
+
+module.exports = {
+    SERVER_INFO,
+    startFakeServer,
+    startBridge,
+    eventually,
+    initializeRequest
+};
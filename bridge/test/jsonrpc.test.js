@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CODES, canonical, createError, httpStatusError, isValidRequest, replyId, isNotification, isResponse } = require('../jsonrpc');
+const { negotiateProtocolVersion } = require('../protocol');
+
+test('id 0 is a request, not a notification', () => {
+    const message = { jsonrpc: "2.0", id: 0, method: 'ping' };
+    assert.ok(isValidRequest(message));
+    assert.equal(isNotification(message), false);
+    assert.equal(replyId(message), 0);
+});
+
+test('an explicit null id is still a request', () => {
+    const message = { jsonrpc: "2.0", id: null, method: 'ping' };
+    assert.ok(isValidRequest(message));
+    assert.equal(isNotification(message), false);
+});
+
+test('invalid requests are recognised', () => {
+    assert.equal(isValidRequest({ jsonrpc: "1.0", id: 1, method: 'ping' }), false);
+    assert.equal(isValidRequest({ jsonrpc: "2.0", id: {}, method: 'ping' }), false);
+    assert.equal(isValidRequest({ jsonrpc: "2.0", id: 1, method: 'ping', params: 'x' }), false);
+    assert.equal(isValidRequest([]), false);
+    assert.equal(replyId({ id: { nested: true } }), null);
+});
+
+test('responses are told apart from requests and notifications', () => {
+    assert.ok(isResponse({ jsonrpc: "2.0", id: 0, result: {} }));
+    assert.ok(isResponse({ jsonrpc: "2.0", id: 'a', error: { code: 1, message: 'x' } }));
+    assert.equal(isResponse({ jsonrpc: "2.0", id: 1, method: 'ping' }), false);
+    assert.equal(isResponse({ jsonrpc: "2.0", id: 1 }), false);
+});
+
+test('HTTP statuses map to bridge error codes', () => {
+    assert.equal(httpStatusError(401, {}, '', 1).error.code, ERROR_CODES.UNAUTHORIZED);
+    assert.equal(httpStatusError(404, {}, '', 1).error.code, ERROR_CODES.ENDPOINT_NOT_FOUND);
+    assert.equal(httpStatusError(503, {}, '', 1).error.code, ERROR_CODES.UPSTREAM_UNAVAILABLE);
+
+    const rateLimited = httpStatusError(429, { 'retry-after': '5' }, '{"detail":"slow down"}', 7);
+    assert.equal(rateLimited.id, 7);
+    assert.equal(rateLimited.error.code, ERROR_CODES.RATE_LIMITED);
+    assert.deepEqual(rateLimited.error.data, { type: 'rate-limited', status: 429, body: { detail: 'slow down' }, retryAfter: '5' });
+
+    const long = httpStatusError(500, {}, 'x'.repeat(5000), 1);
+    assert.equal(long.error.code, ERROR_CODES.UPSTREAM_ERROR);
+    assert.equal(long.error.data.body.length, 4096 + 3);
+});
+
+test('unknown error types fall back to internal error', () => {
+    assert.equal(createError('no-such-type', 'x', 1).error.code, ERROR_CODES.INTERNAL_ERROR);
+});
+
+test('canonical ignores key order', () => {
+    assert.equal(canonical({ b: 1, a: [{ d: 2, c: 3 }] }), canonical({ a: [{ c: 3, d: 2 }], b: 1 }));
+    assert.notEqual(canonical({ a: 1 }), canonical({ a: '1' }));
+});
+
+test('a supported protocol version is echoed back', () => {
+    assert.deepEqual(negotiateProtocolVersion('2025-03-26').version, '2025-03-26');
+});
+
+test('an unknown protocol version is answered with the latest supported one', () => {
+    const { version, reason } = negotiateProtocolVersion('2099-01-01', ['2025-06-18', '2024-11-05']);
+    assert.equal(version, '2025-06-18');
+    assert.match(reason, /not supported/);
+});
+
+test('a missing or malformed protocol version cannot be negotiated', () => {
+    assert.deepEqual(negotiateProtocolVersion(undefined).error.data.requested, null);
+    assert.ok(negotiateProtocolVersion('latest').error);
+    assert.ok(negotiateProtocolVersion(20250618).error);
+});
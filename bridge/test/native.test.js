@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CODES } = require('../jsonrpc');
+const { restBaseUrl } = require('../rest');
+const { startFakeServer, startBridge, initializeRequest } = require('./helpers');
+
+const METRICS = { totalCompanies: 2, totalDocuments: 10, companyMetrics: [] };
+const ERRORS = [
+    { companyName: 'Contoso', form: '10-K', errorMessage: 'older', errorDate: '2025-01-01T00:00:00Z' },
+    { companyName: 'Contoso', form: '8-K', errorMessage: 'newer', errorDate: '2025-03-01T00:00:00Z' }
+];
+
+async function withNativeBridge(routes, body) {
+    const server = await startFakeServer({}, routes);
+    const client = startBridge(server.url, ['--native', '--token', 'secret']);
+    try {
+        await body({ server, client });
+    } finally {
+        await client.stop();
+        await server.close();
+    }
+}
+
+function callTool(id, name, args = {}) {
+    return { jsonrpc: "2.0", id, method: 'tools/call', params: { name, arguments: args } };
+}
+
+test('the REST base sits next to the MCP endpoint', () => {
+    assert.equal(restBaseUrl(new URL('http://localhost:5236/mcp')).href, 'http://localhost:5236/');
+    assert.equal(restBaseUrl(new URL('https://host/api/mcp/')).href, 'https://host/api/');
+    assert.equal(restBaseUrl(new URL('https://host/api')).href, 'https://host/api/');
+});
+
+test('initialize and tools/list are answered by the bridge', async () => {
+    await withNativeBridge({}, async ({ server, client }) => {
+        client.send(initializeRequest(1));
+        const initialized = await client.next();
+        assert.equal(initialized.result.serverInfo.name, 'edgar-processor-native');
+        assert.equal(initialized.result.protocolVersion, '2025-06-18');
+
+        client.send({ jsonrpc: "2.0", id: 2, method: 'tools/list' });
+        const { tools } = (await client.next()).result;
+        assert.ok(tools.some(tool => tool.name === 'get_yearly_metrics'));
+        assert.ok(tools.every(tool => tool.annotations.readOnlyHint === true && tool.inputSchema.type === 'object'));
+        assert.ok(tools.every(tool => tool.run === undefined));
+        assert.equal(server.restRequests.length, 0);
+    });
+});
+
+test('tools call the REST routes with the bridge token', async () => {
+    const routes = {
+        '/crawl-metrics': METRICS,
+        '/crawl-metrics/yearly/Contoso%20Ltd': [{ year: 2024, totalDocuments: 3 }]
+    };
+    await withNativeBridge(routes, async ({ server, client }) => {
+        client.send(callTool(1, 'get_crawl_metrics'));
+        const metrics = (await client.next()).result;
+        assert.equal(metrics.isError, false);
+        assert.deepEqual(JSON.parse(metrics.content[0].text), METRICS);
+        assert.equal(server.restRequests[0].headers.authorization, 'Bearer secret');
+
+        client.send(callTool(2, 'get_yearly_metrics', { company: 'Contoso Ltd' }));
+        assert.equal(JSON.parse((await client.next()).result.content[0].text)[0].year, 2024);
+    });
+});
+
+test('crawl errors are listed most recent first and limited', async () => {
+    await withNativeBridge({ '/crawl-errors?company=Contoso': ERRORS }, async ({ client }) => {
+        client.send(callTool(1, 'get_crawl_errors', { company: 'Contoso', limit: 1 }));
+        const { text } = (await client.next()).result.content[0];
+        assert.match(text, /^2 processing errors for Contoso, showing 1/);
+        assert.equal(JSON.parse(text.slice(text.indexOf('\n\n')))[0].errorMessage, 'newer');
+    });
+});
+
+test('a failing REST route is reported as a tool error', async () => {
+    const routes = { '/scheduler-config': () => ({ status: 500, body: 'storage offline' }) };
+    await withNativeBridge(routes, async ({ client }) => {
+        client.send(callTool(1, 'get_scheduler_config'));
+        const { result } = await client.next();
+        assert.equal(result.isError, true);
+        assert.match(result.content[0].text, /HTTP 500: storage offline/);
+    });
+});
+
+test('a REST body the tool cannot read is reported as a tool error', async () => {
+    await withNativeBridge({ '/crawl-errors': { unexpected: true } }, async ({ client }) => {
+        client.send(callTool(1, 'get_crawl_errors'));
+        const { result } = await client.next();
+        assert.equal(result.isError, true);
+        assert.match(result.content[0].text, /^get_crawl_errors failed: /);
+    });
+});
+
+test('unknown tools and bad arguments are invalid params', async () => {
+    await withNativeBridge({}, async ({ client }) => {
+        client.send(callTool(1, 'start_crawl'));
+        assert.equal((await client.next()).error.code, ERROR_CODES.INVALID_PARAMS);
+
+        client.send(callTool(2, 'get_crawled_companies'));
+        const missing = await client.next();
+        assert.equal(missing.error.code, ERROR_CODES.INVALID_PARAMS);
+        assert.match(missing.error.message, /connectionId/);
+
+        client.send(callTool(3, 'get_crawl_errors', { limit: 'ten' }));
+        assert.equal((await client.next()).error.code, ERROR_CODES.INVALID_PARAMS);
+    });
+});
+
+test('an unreachable API is a connection error', async () => {
+    const server = await startFakeServer();
+    await server.close();
+    const client = startBridge(server.url, ['--native']);
+    try {
+        client.send(callTool(1, 'get_crawl_status'));
+        assert.equal((await client.next()).error.data.type, 'connection-error');
+    } finally {
+        await client.stop();
+    }
+});
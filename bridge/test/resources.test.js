@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CODES } = require('../jsonrpc');
+const { ConfigError, loadConfig } = require('../config');
+const { startFakeServer, startBridge, initializeRequest } = require('./helpers');
+
+const OVERALL = { totalCompanies: 1, totalDocuments: 4 };
+const ERRORS = [
+    { companyName: 'Contoso', errorMessage: 'older', errorDate: '2025-01-01T00:00:00Z' },
+    { companyName: 'Contoso', errorMessage: 'newer', errorDate: '2025-02-01T00:00:00Z' }
+];
+
+async function withResources(handlers, restRoutes, args, body) {
+    const server = await startFakeServer(handlers, restRoutes);
+    const client = startBridge(server.url, ['--resources', ...args]);
+    try {
+        await body({ server, client });
+    } finally {
+        await client.stop();
+        await server.close();
+    }
+}
+
+function request(id, method, params = {}) {
+    return { jsonrpc: "2.0", id, method, params };
+}
+
+test('initialize advertises resource subscriptions', async () => {
+    await withResources({}, {}, [], async ({ client }) => {
+        client.send(initializeRequest(1));
+        const { capabilities } = (await client.next()).result;
+        assert.deepEqual(capabilities.resources, { subscribe: true });
+        assert.deepEqual(capabilities.tools, {});
+    });
+});
+
+test('synthetic resources are listed ahead of the server\'s own', async () => {
+    const handlers = {
+        'resources/list': () => ({ resources: [{ uri: 'edgar://documents/1', name: 'Filing' }] })
+    };
+    await withResources(handlers, {}, [], async ({ client }) => {
+        client.send(request(1, 'resources/list'));
+        const uris = (await client.next()).result.resources.map(resource => resource.uri);
+        assert.deepEqual(uris, ['edgar://metrics/overall', 'edgar://errors/recent', 'edgar://documents/1']);
+
+        // The server has no templates method; the bridge's template is listed anyway
+        client.send(request(2, 'resources/templates/list'));
+        const { resourceTemplates } = (await client.next()).result;
+        assert.deepEqual(resourceTemplates.map(template => template.uriTemplate), ['edgar://metrics/yearly/{company}']);
+    });
+});
+
+test('synthetic resources are read from the REST routes', async () => {
+    const routes = {
+        '/crawl-metrics': OVERALL,
+        '/crawl-errors': ERRORS,
+        '/crawl-metrics/yearly/Contoso%20Ltd': [{ year: 2024 }]
+    };
+    await withResources({}, routes, [], async ({ server, client }) => {
+        client.send(request(1, 'resources/read', { uri: 'edgar://metrics/overall' }));
+        const [overall] = (await client.next()).result.contents;
+        assert.equal(overall.mimeType, 'application/json');
+        assert.deepEqual(JSON.parse(overall.text), OVERALL);
+
+        client.send(request(2, 'resources/read', { uri: 'edgar://errors/recent' }));
+        const errors = JSON.parse((await client.next()).result.contents[0].text);
+        assert.deepEqual(errors.map(error => error.errorMessage), ['newer', 'older']);
+
+        client.send(request(3, 'resources/read', { uri: 'edgar://metrics/yearly/Contoso%20Ltd' }));
+        assert.deepEqual(JSON.parse((await client.next()).result.contents[0].text), [{ year: 2024 }]);
+
+        assert.equal(server.received('resources/read').length, 0);
+    });
+});
+
+test('other resource URIs still go to the server', async () => {
+    const handlers = {
+        'resources/read': message => ({ contents: [{ uri: message.params.uri, text: 'from server' }] })
+    };
+    await withResources(handlers, {}, [], async ({ client }) => {
+        client.send(request(1, 'resources/read', { uri: 'edgar://documents/1' }));
+        assert.equal((await client.next()).result.contents[0].text, 'from server');
+    });
+});
+
+test('a failing REST route is a server error', async () => {
+    await withResources({}, { '/crawl-metrics': () => ({ status: 500, body: 'storage offline' }) }, [], async ({ client }) => {
+        client.send(request(1, 'resources/read', { uri: 'edgar://metrics/overall' }));
+        const { error } = await client.next();
+        assert.equal(error.code, ERROR_CODES.UPSTREAM_ERROR);
+        assert.equal(error.data.status, 500);
+    });
+});
+
+test('resource polls faster than once a second are rejected', () => {
+    assert.throws(() => loadConfig(['--resources', '--resource-poll', '0'], {}), ConfigError);
+    assert.throws(() => loadConfig(['--resources'], { MCP_BRIDGE_RESOURCE_POLL_MS: '999' }), ConfigError);
+    assert.equal(loadConfig(['--resources', '--resource-poll', '1000'], {}).resources.pollMs, 1000);
+});
+
+test('subscribers are notified when a polled resource changes', async () => {
+    let totalDocuments = 4;
+    const routes = { '/crawl-metrics': () => ({ status: 200, body: { totalDocuments } }) };
+    await withResources({}, routes, ['--resource-poll', '1000'], async ({ client }) => {
+        client.send(request(1, 'resources/subscribe', { uri: 'edgar://metrics/overall' }));
+        assert.deepEqual((await client.next()).result, {});
+
+        totalDocuments = 5;
+        assert.deepEqual(await client.next(), {
+            jsonrpc: "2.0",
+            method: 'notifications/resources/updated',
+            params: { uri: 'edgar://metrics/overall' }
+        });
+
+        // Unchanged values are not announced again, and nothing is after unsubscribing
+        client.send(request(2, 'resources/unsubscribe', { uri: 'edgar://metrics/overall' }));
+        assert.equal((await client.next()).id, 2);
+        totalDocuments = 6;
+        await new Promise(resolve => setTimeout(resolve, 1200));
+        assert.deepEqual(client.pending(), []);
+    });
+});
+
+test('named upstreams get their own qualified synthetic resources', async () => {
+    const server = await startFakeServer({}, { '/crawl-metrics': OVERALL });
+    const client = startBridge(server.url, ['--resources', '--upstream', `prod=${server.url}`]);
+    try {
+        client.send(request(1, 'resources/list'));
+        const uris = (await client.next()).result.resources.map(resource => resource.uri);
+        assert.ok(uris.includes('prod.edgar://metrics/overall'));
+
+        client.send(request(2, 'resources/read', { uri: 'prod.edgar://metrics/overall' }));
+        const [contents] = (await client.next()).result.contents;
+        assert.equal(contents.uri, 'prod.edgar://metrics/overall');
+        assert.deepEqual(JSON.parse(contents.text), OVERALL);
+    } finally {
+        await client.stop();
+        await server.close();
+    }
+});
@@ -0,0 +1,269 @@
+/**
+ * Streamable HTTP transport for the MCP bridge
+ * POSTs JSON-RPC messages to the upstream endpoint and accepts either a plain JSON body
+ * or a text/event-stream of messages, plus an optional GET stream for server-initiated traffic
+ */
+
+const http = require('http');
+const https = require('https');
+const { SSEParser } = require('./sse');
+const { logger } = require('./logger');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const SESSION_END_TIMEOUT_MS = 2000;
+const DEFAULT_RECONNECT_MS = 3000;
+
+function isEventStream(res) {
+    return (res.headers['content-type'] || '').toLowerCase().startsWith('text/event-stream');
+}
+
+class HttpTransport {
+    constructor(config) {
+        this.config = config;
+        this.url = config.url;
+        this.client = config.url.protocol === 'https:' ? https : http;
+        this.protocolVersion = null;
+        this.sessionId = null;
+        this.listening = false;
+        this.listenRequest = null;
+        this.reconnectTimer = null;
+    }
+
+    // Once negotiated, every request carries the MCP-Protocol-Version header
+    setProtocolVersion(version) {
+        this.protocolVersion = version;
+    }
+
+    // The id the server assigned on initialize; null starts over without a session
+    setSessionId(sessionId) {
+        this.sessionId = sessionId || null;
+    }
+
+    buildOptions(method, headers) {
+        const options = {
+            method,
+            headers: {
+                ...this.config.headers,
+                ...headers
+            }
+        };
+
+        if (this.protocolVersion) {
+            options.headers['MCP-Protocol-Version'] = this.protocolVersion;
+        }
+        if (this.sessionId) {
+            options.headers['Mcp-Session-Id'] = this.sessionId;
+        }
+
+        if (this.url.protocol === 'https:') {
+            options.rejectUnauthorized = this.config.tls.rejectUnauthorized;
+            if (this.config.tls.ca) {
+                options.ca = this.config.tls.ca;
+            }
+        }
+
+        return options;
+    }
+
+    // Parses each SSE event as a JSON-RPC message and hands it to onMessage
+    readEventStream(res, onMessage, onEvent) {
+        const parser = new SSEParser((event) => {
+            if (onEvent) {
+                onEvent(event);
+            }
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                logger.warn('Ignoring SSE event with invalid JSON', { error: error.message });
+                return;
+            }
+            onMessage(message);
+        });
+
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => parser.push(chunk));
+        return parser;
+    }
+
+    /**
+     * POSTs a JSON-RPC payload. Resolves with { statusCode, headers, body } for JSON replies;
+     * for event streams every message is passed to onMessage as it arrives and body is null.
+     * An aborted signal destroys the request and rejects with an AbortError.
+     */
+    post(payload, onMessage = () => {}, { timeoutMs = DEFAULT_TIMEOUT_MS, signal } = {}) {
+        const requestData = JSON.stringify(payload);
+        const options = this.buildOptions('POST', {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json, text/event-stream',
+            'Content-Length': Buffer.byteLength(requestData)
+        });
+        if (signal) {
+            options.signal = signal;
+        }
+
+        return new Promise((resolve, reject) => {
+            const req = this.client.request(this.url, options, (res) => {
+                if (isEventStream(res)) {
+                    const parser = this.readEventStream(res, onMessage);
+                    res.on('end', () => {
+                        parser.end();
+                        resolve({ statusCode: res.statusCode, headers: res.headers, body: null });
+                    });
+                    res.on('error', reject);
+                    return;
+                }
+
+                let data = '';
+                res.setEncoding('utf8');
+
+                res.on('data', (chunk) => {
+                    data += chunk;
+                });
+
+                res.on('end', () => {
+                    resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
+                });
+
+                res.on('error', reject);
+            });
+
+            req.on('error', reject);
+
+            // Idle timeout: a stream that keeps sending progress events stays alive
+            req.setTimeout(timeoutMs, () => {
+                const error = new Error('Request to MCP server timed out');
+                error.code = 'ETIMEDOUT';
+                reject(error);
+                req.destroy();
+            });
+
+            req.write(requestData);
+            req.end();
+        });
+    }
+
+    /**
+     * Keeps a GET event stream open for server-to-client messages, reconnecting with
+     * Last-Event-ID when it drops. Stops for good if the server does not offer one.
+     */
+    listen(onMessage) {
+        if (this.listening) {
+            return;
+        }
+        this.listening = true;
+        this.openEventStream(onMessage, undefined, DEFAULT_RECONNECT_MS);
+    }
+
+    openEventStream(onMessage, lastEventId, reconnectMs) {
+        const headers = { 'Accept': 'text/event-stream' };
+        if (lastEventId !== undefined) {
+            headers['Last-Event-ID'] = lastEventId;
+        }
+
+        let dropped = false;
+        const scheduleReconnect = () => {
+            // The request and response can both report the same drop
+            if (dropped) {
+                return;
+            }
+            dropped = true;
+            this.listenRequest = null;
+            if (!this.listening) {
+                return;
+            }
+            this.reconnectTimer = setTimeout(() => {
+                this.reconnectTimer = null;
+                this.openEventStream(onMessage, lastEventId, reconnectMs);
+            }, reconnectMs);
+        };
+
+        const req = this.client.request(this.url, this.buildOptions('GET', headers), (res) => {
+            if (res.statusCode !== 200 || !isEventStream(res)) {
+                logger.warn('Server does not offer a GET event stream, not listening', { status: res.statusCode });
+                this.listening = false;
+                this.listenRequest = null;
+                res.resume();
+                return;
+            }
+
+            logger.info('Listening for server-initiated messages');
+            const parser = this.readEventStream(res, onMessage, (event) => {
+                lastEventId = event.id;
+                if (event.retry !== undefined) {
+                    reconnectMs = event.retry;
+                }
+            });
+
+            res.on('end', () => {
+                parser.end();
+                scheduleReconnect();
+            });
+            res.on('error', scheduleReconnect);
+        });
+
+        req.on('error', (error) => {
+            if (this.listening) {
+                logger.warn('Event stream error', { error: error.message, reconnectMs });
+            }
+            scheduleReconnect();
+        });
+
+        req.end();
+        this.listenRequest = req;
+    }
+
+    /**
+     * Tells the server the session is over with a DELETE. Never rejects: a server that does not
+     * allow clients to end sessions (405) or is already gone is not an error at shutdown.
+     */
+    endSession() {
+        if (!this.sessionId) {
+            return Promise.resolve();
+        }
+
+        const sessionId = this.sessionId;
+        this.sessionId = null;
+
+        const options = this.buildOptions('DELETE', { 'Mcp-Session-Id': sessionId });
+        return new Promise((resolve) => {
+            const req = this.client.request(this.url, options, (res) => {
+                res.resume();
+                res.on('end', () => {
+                    if (res.statusCode !== 405 && res.statusCode >= 400) {
+                        logger.warn('Server refused to end the session', { sessionId, status: res.statusCode });
+                    }
+                    resolve();
+                });
+            });
+
+            req.on('error', (error) => {
+                logger.warn('Failed to end session', { sessionId, error: error.message });
+                resolve();
+            });
+
+            req.setTimeout(SESSION_END_TIMEOUT_MS, () => {
+                req.destroy();
+                resolve();
+            });
+
+            req.end();
+        });
+    }
+
+    close() {
+        this.listening = false;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.listenRequest) {
+            this.listenRequest.destroy();
+            this.listenRequest = null;
+        }
+    }
+}
+
+module.exports = {
+    HttpTransport
+};
@@ -0,0 +1,247 @@
+/**
+ * One upstream MCP server as seen by the bridge: its transport plus the per-server state
+ * (session, circuit breaker, read-only tools) needed to call it reliably
+ */
+
+const { logger } = require('./logger');
+const {
+    RETRYABLE_ERROR_CODES,
+    RETRYABLE_STATUS_CODES,
+    IDEMPOTENT_METHODS,
+    sleep,
+    backoffDelay,
+    retryAfterMs,
+    CircuitBreaker,
+    ConcurrencyLimiter
+} = require('./resilience');
+const { isNotification, isResponse } = require('./jsonrpc');
+const { HttpTransport } = require('./transport');
+const { ReplayTransport } = require('./replay');
+const { NativeTransport } = require('./native');
+
+// The transport for one configured upstream: HTTP, the fixture when replaying, or the REST API in native mode
+function createTransport(config, upstream) {
+    if (config.replay) {
+        return new ReplayTransport(config.replay.exchanges);
+    }
+    return config.native
+        ? new NativeTransport({ ...config, ...upstream })
+        : new HttpTransport({ ...config, ...upstream });
+}
+
+class Upstream {
+    /**
+     * @param {object} options
+     * @param {string|null} options.name Namespace for this upstream, null when it is the only one
+     * @param {object} options.transport HttpTransport, ReplayTransport or NativeTransport
+     * @param {object} options.config Bridge config (retry, breaker and listen settings)
+     * @param {function} options.onServerMessage Receives messages the server pushes on its own
+     * @param {SyntheticResources} [options.resources] edgar:// resources the bridge serves for this upstream
+     */
+    constructor({ name = null, transport, config, onServerMessage = () => {}, resources = null }) {
+        this.name = name;
+        // Added to every log line so multi-upstream logs say which server they are about
+        this.logContext = name ? { upstream: name } : {};
+        this.transport = transport;
+        this.config = config;
+        this.onServerMessage = onServerMessage;
+        this.resources = resources;
+        this.breaker = new CircuitBreaker(config.breaker);
+        this.limiter = new ConcurrencyLimiter(config.maxConcurrent);
+        this.readOnlyTools = new Set();
+        this.initializeParams = null;
+        this.reinitializing = null;
+        this.reinitializeCount = 0;
+    }
+
+    // Starts a new session: the next initialize must not carry the old session id
+    beginInitialize(params) {
+        this.initializeParams = params;
+        this.transport.setSessionId(null);
+    }
+
+    // Called once initialize succeeded with the session the server assigned
+    startSession(protocolVersion, sessionId) {
+        this.transport.setProtocolVersion(protocolVersion);
+        this.transport.setSessionId(sessionId);
+        if (sessionId) {
+            logger.info('Session started', { ...this.logContext, sessionId });
+        }
+
+        // Server-initiated traffic can only flow once the session is initialized
+        if (this.config.listen) {
+            this.transport.listen(this.onServerMessage);
+        }
+    }
+
+    // Side-effect free calls may be repeated; tools/call only for tools annotated readOnlyHint
+    isIdempotent(message) {
+        if (IDEMPOTENT_METHODS.has(message.method)) {
+            return true;
+        }
+        return message.method === 'tools/call' && this.readOnlyTools.has(message.params?.name);
+    }
+
+    rememberReadOnlyTools(tools) {
+        for (const tool of tools) {
+            if (tool.annotations?.readOnlyHint === true) {
+                this.readOnlyTools.add(tool.name);
+            } else {
+                this.readOnlyTools.delete(tool.name);
+            }
+        }
+    }
+
+    // Sends a message through the circuit breaker, retrying idempotent calls with exponential
+    // backoff when the server is unreachable or a gateway reports it unavailable
+    async call(message, relay = this.onServerMessage, options = {}) {
+        const { retries } = this.config.retry;
+        const retryable = this.isIdempotent(message);
+
+        for (let attempt = 0; ; attempt++) {
+            this.breaker.beforeRequest();
+
+            let release;
+            try {
+                release = await this.acquireSlot(message, options.signal);
+            } catch (error) {
+                this.breaker.release();
+                throw error;
+            }
+
+            let result;
+            let failure;
+            try {
+                result = await this.postWithSession(message, relay, options);
+            } catch (error) {
+                failure = error;
+            } finally {
+                release();
+            }
+
+            // A cancelled call says nothing about the server's health
+            if (options.signal?.aborted) {
+                this.breaker.release();
+                throw failure || options.signal.reason;
+            }
+
+            const transient = failure
+                ? RETRYABLE_ERROR_CODES.has(failure.code) || failure.code === 'ETIMEDOUT'
+                : RETRYABLE_STATUS_CODES.has(result.statusCode);
+
+            if (!transient) {
+                this.breaker.recordSuccess();
+                if (failure) {
+                    throw failure;
+                }
+                return result;
+            }
+
+            this.breaker.recordFailure();
+
+            // Timeouts count against the breaker but are not repeated: the server may still be working
+            if (!retryable || attempt >= retries || failure?.code === 'ETIMEDOUT') {
+                if (failure) {
+                    throw failure;
+                }
+                return result;
+            }
+
+            const delay = Math.min(
+                this.config.retry.maxDelayMs,
+                (result && retryAfterMs(result.headers)) ?? backoffDelay(attempt, this.config.retry)
+            );
+            const reason = failure ? failure.code : `status ${result.statusCode}`;
+            logger.warn('Upstream call failed, retrying', {
+                ...this.logContext,
+                method: message.method,
+                reason,
+                attempt: attempt + 1,
+                retries,
+                delayMs: delay
+            });
+            await sleep(delay, options.signal);
+        }
+    }
+
+    // Requests wait for a free slot; notifications and client responses (cancellations among them)
+    // must never queue behind the work they refer to
+    acquireSlot(message, signal) {
+        if (isNotification(message) || isResponse(message)) {
+            return Promise.resolve(() => {});
+        }
+        if (this.limiter.limit > 0 && this.limiter.active >= this.limiter.limit) {
+            logger.debug('Request queued', { ...this.logContext, id: message.id, method: message.method, queued: this.limiter.queued + 1 });
+        }
+        return this.limiter.acquire(signal);
+    }
+
+    // POSTs within the current session; a 404 for a request that carried a session id means the
+    // server dropped the session, so the bridge re-initializes and retries once
+    async postWithSession(message, relay, options) {
+        const sessionId = this.transport.sessionId;
+        const result = await this.transport.post(message, relay, options);
+
+        if (result.statusCode !== 404 || !sessionId || !this.initializeParams || message.method === 'initialize') {
+            return result;
+        }
+
+        logger.warn('Session expired, re-initializing', { ...this.logContext, sessionId });
+        await this.reinitialize(sessionId);
+        return this.transport.post(message, relay, options);
+    }
+
+    // Replays the client's initialize handshake under a new session. Concurrent callers that hit
+    // the same expired session share one handshake.
+    reinitialize(expiredSessionId) {
+        if (this.transport.sessionId !== expiredSessionId) {
+            return this.reinitializing || Promise.resolve();
+        }
+        if (this.reinitializing) {
+            return this.reinitializing;
+        }
+
+        this.transport.setSessionId(null);
+        this.reinitializing = (async () => {
+            try {
+                const initialize = {
+                    jsonrpc: "2.0",
+                    id: `bridge-reinitialize-${++this.reinitializeCount}`,
+                    method: 'initialize',
+                    params: this.initializeParams
+                };
+                const { statusCode, headers } = await this.transport.post(initialize);
+                if (statusCode >= 400) {
+                    logger.error('Re-initialize failed', { ...this.logContext, status: statusCode });
+                    return;
+                }
+
+                this.transport.setSessionId(headers['mcp-session-id']);
+                logger.info('Session started after re-initialize', {
+                    ...this.logContext,
+                    sessionId: headers['mcp-session-id'] || null
+                });
+                await this.transport.post({ jsonrpc: "2.0", method: 'notifications/initialized' });
+
+                if (this.config.listen) {
+                    this.transport.listen(this.onServerMessage);
+                }
+            } finally {
+                this.reinitializing = null;
+            }
+        })();
+        return this.reinitializing;
+    }
+
+    // Stops listening and ends the session; never rejects
+    endSession() {
+        this.resources?.close();
+        this.transport.close();
+        return this.transport.endSession();
+    }
+}
+
+module.exports = {
+    Upstream,
+    createTransport
+};
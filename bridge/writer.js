@@ -0,0 +1,70 @@
+/**
+ * Line-delimited JSON output for the MCP bridge
+ * Messages are queued and written one line at a time, waiting for 'drain' whenever the stream
+ * reports backpressure, so large results never pile up in memory or get cut off at exit
+ */
+
+const { logger } = require('./logger');
+
+class MessageWriter {
+    constructor(stream = process.stdout) {
+        this.stream = stream;
+        this.queue = [];
+        this.waitingForDrain = false;
+        this.closed = false;
+        this.idleWaiters = [];
+
+        // EPIPE and friends: Claude Desktop is gone, so further output is pointless
+        stream.on('error', (error) => {
+            logger.error('Output stream error, discarding further messages', { error: error.message });
+            this.closed = true;
+            this.queue = [];
+            this.notifyIdle();
+        });
+    }
+
+    write(message) {
+        if (this.closed) {
+            return;
+        }
+        this.queue.push(`${JSON.stringify(message)}\n`);
+        this.pump();
+    }
+
+    pump() {
+        while (!this.waitingForDrain && this.queue.length > 0 && !this.closed) {
+            if (!this.stream.write(this.queue.shift())) {
+                this.waitingForDrain = true;
+                this.stream.once('drain', () => {
+                    this.waitingForDrain = false;
+                    this.pump();
+                });
+            }
+        }
+        if (this.queue.length === 0 && !this.waitingForDrain) {
+            this.notifyIdle();
+        }
+    }
+
+    notifyIdle() {
+        const waiters = this.idleWaiters;
+        this.idleWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    // Resolves once every queued message has been handed to the operating system
+    async flush() {
+        if (this.queue.length > 0 || this.waitingForDrain) {
+            await new Promise(resolve => this.idleWaiters.push(resolve));
+        }
+        if (this.closed) {
+            return;
+        }
+        // Writes complete in order, so an empty write's callback fires after all earlier ones
+        await new Promise(resolve => this.stream.write('', resolve));
+    }
+}
+
+module.exports = {
+    MessageWriter
+};
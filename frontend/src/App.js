@@ -1,63 +1,138 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Routes, Route, Navigate, Link, matchPath, useLocation, useNavigate } from 'react-router-dom';
 import CompanySelector from './components/CompanySelector';
 import CrawlControls from './components/CrawlControls';
 import CrawlHistory from './components/CrawlHistory';
+import CrawlProgress from './components/CrawlProgress';
+import CrawlJobs from './components/CrawlJobs';
 import StorageConfig from './components/StorageConfig';
 import CrawlMetricsDashboard from './components/CrawlMetricsDashboard';
 import DataCollectionConfig from './components/DataCollectionConfig';
 import ExternalConnectionManager from './components/ExternalConnectionManager';
-import { fetchCompanyTickers, fetchCrawledCompanies, triggerCrawl, triggerRecrawlAll } from './services/apiService';
+import { fetchCompanyTickers, fetchCrawledCompanies, triggerCrawl, triggerRecrawlAll, previewCrawl, isCancelled } from './services/apiService';
+
+const STORAGE_SETTINGS_PATH = '/settings/storage';
+
+const connectionPath = (connectionId) => (connectionId ? `/connections/${encodeURIComponent(connectionId)}` : '/crawl');
+
+const metricsPath = (companyName) => (companyName ? `/metrics/company/${encodeURIComponent(companyName)}` : '/metrics');
+
+// Which tab a path belongs to; storage settings opened directly has no tab behind it
+const viewFor = (pathname) => {
+  if (pathname.startsWith('/jobs')) return 'jobs';
+  if (pathname.startsWith('/metrics')) return 'metrics';
+  if (pathname.startsWith('/config')) return 'config';
+  if (pathname === STORAGE_SETTINGS_PATH) return null;
+  return 'crawl';
+};
 
 function App() {
+  const location = useLocation();
+  const navigate = useNavigate();
   const [companies, setCompanies] = useState([]);
   const [selectedCompanies, setSelectedCompanies] = useState([]);
-  const [selectedConnectionId, setSelectedConnectionId] = useState('');
+  const [lastConnectionId, setLastConnectionId] = useState('');
   const [crawledHistory, setCrawledHistory] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [crawling, setCrawling] = useState(false);
-  const [showStorageConfig, setShowStorageConfig] = useState(false);
-  const [activeTab, setActiveTab] = useState('crawl'); // 'crawl', 'metrics', or 'config'
+  // Bumped to reload the crawl history, e.g. when a crawl finishes
+  const [historyVersion, setHistoryVersion] = useState(0);
+
+  // Storage settings open as a modal over the page they were opened from, which stays rendered behind it
+  const backgroundLocation = location.state?.backgroundLocation;
+  const viewLocation = backgroundLocation || location;
+  const activeView = viewFor(viewLocation.pathname);
+  const selectedConnectionId = matchPath('/connections/:connectionId', viewLocation.pathname)?.params.connectionId || '';
+  const selectedMetricsCompany = matchPath('/metrics/company/:companyName', viewLocation.pathname)?.params.companyName || '';
+  const searchTerm = new URLSearchParams(viewLocation.search).get('q') || '';
 
-  // Load company data and crawl history on component mount
+  // Remember the connection so the crawl tab returns to it
   useEffect(() => {
+    if (selectedConnectionId) {
+      setLastConnectionId(selectedConnectionId);
+    }
+  }, [selectedConnectionId]);
+
+  // Load company data on component mount
+  useEffect(() => {
+    const controller = new AbortController();
     const loadData = async () => {
       try {
         setLoading(true);
         setError('');
         
-        // Load both companies and crawl history in parallel
-        const [companiesData, crawlHistoryData] = await Promise.all([
-          fetchCompanyTickers(),
-          fetchCrawledCompanies()
-        ]);
-        
+        const companiesData = await fetchCompanyTickers({ signal: controller.signal });
+
         // Sort companies by ticker for better UX
         const sortedCompanies = companiesData.sort((a, b) => a.ticker.localeCompare(b.ticker));
         setCompanies(sortedCompanies);
-        setCrawledHistory(crawlHistoryData);
         
       } catch (err) {
+        if (isCancelled(err)) {
+          return;
+        }
         setError(err.message);
-      } finally {
-        setLoading(false);
       }
+      setLoading(false);
     };
 
     loadData();
+    return () => controller.abort();
   }, []);
 
-  const handleConnectionSelect = async (connectionId) => {
+  // Reload crawled companies whenever the connection in the URL changes
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchCrawledCompanies(selectedConnectionId || null, { signal: controller.signal })
+      .then(crawlHistoryData => {
+        setCrawledHistory(crawlHistoryData);
+        console.log('App.js: Loaded crawl history for connection:', selectedConnectionId, crawlHistoryData);
+      })
+      .catch(err => {
+        if (!isCancelled(err)) {
+          console.error('Error loading crawl history for connection:', selectedConnectionId, err);
+        }
+      });
+    return () => controller.abort();
+  }, [selectedConnectionId, historyVersion]);
+
+  const handleCrawlFinished = useCallback(() => {
+    setHistoryVersion(version => version + 1);
+  }, []);
+
+  // Keeps the search filter when switching connections; automatic selections replace the history entry
+  const search = viewLocation.search;
+  const handleConnectionSelect = useCallback((connectionId, { replace = false } = {}) => {
     console.log('App.js: Connection selected:', connectionId);
-    setSelectedConnectionId(connectionId);
-    
-    // Reload crawled companies for the selected connection
-    try {
-      const crawlHistoryData = await fetchCrawledCompanies(connectionId);
-      setCrawledHistory(crawlHistoryData);
-      console.log('App.js: Loaded crawl history for connection:', connectionId, crawlHistoryData);
-    } catch (error) {
-      console.error('Error loading crawl history for connection:', connectionId, error);
+    navigate({ pathname: connectionPath(connectionId), search }, { replace });
+  }, [navigate, search]);
+
+  const handleSearchChange = (term) => {
+    const params = new URLSearchParams(viewLocation.search);
+    if (term) {
+      params.set('q', term);
+    } else {
+      params.delete('q');
+    }
+    const query = params.toString();
+    navigate({ pathname: viewLocation.pathname, search: query ? `?${query}` : '' }, { replace: true });
+  };
+
+  const handleMetricsCompanyChange = (companyName) => {
+    navigate(metricsPath(companyName));
+  };
+
+  const openStorageConfig = () => {
+    navigate(STORAGE_SETTINGS_PATH, { state: { backgroundLocation: viewLocation } });
+  };
+
+  // Back to the page the modal was opened from; a bookmarked link to the modal closes onto the crawl view
+  const closeStorageConfig = () => {
+    if (backgroundLocation) {
+      navigate(-1);
+    } else {
+      navigate('/crawl');
     }
   };
 
@@ -65,33 +140,78 @@ function App() {
     setSelectedCompanies(newSelection);
   };
 
-  const handleTriggerCrawl = async (companies) => {
+  const handleTriggerCrawl = async (companies, crawlOptions) => {
     setCrawling(true);
     try {
       console.log('App.js: handleTriggerCrawl called with companies:', companies);
       console.log('App.js: selectedConnectionId state:', selectedConnectionId);
-      await triggerCrawl(companies, selectedConnectionId);
+      const job = await triggerCrawl(companies, selectedConnectionId, crawlOptions);
       // Refresh crawl history after successful crawl for the selected connection
       const updatedHistory = await fetchCrawledCompanies(selectedConnectionId);
       setCrawledHistory(updatedHistory);
+      return job;
     } finally {
       setCrawling(false);
     }
   };
 
+  const handlePreviewCrawl = (companies, crawlOptions, options) => previewCrawl(companies, selectedConnectionId, crawlOptions, options);
+
   const handleTriggerRecrawlAll = async () => {
     setCrawling(true);
     try {
       console.log('App.js: handleTriggerRecrawlAll called with selectedConnectionId:', selectedConnectionId);
-      await triggerRecrawlAll(selectedConnectionId);
+      const job = await triggerRecrawlAll(selectedConnectionId);
       // Refresh crawl history after successful recrawl for the selected connection
       const updatedHistory = await fetchCrawledCompanies(selectedConnectionId);
       setCrawledHistory(updatedHistory);
+      return job;
     } finally {
       setCrawling(false);
     }
   };
 
+  const crawlView = (
+    <>
+      <ExternalConnectionManager 
+        selectedConnectionId={selectedConnectionId}
+        onConnectionSelect={handleConnectionSelect}
+      />
+      
+      <CompanySelector
+        companies={companies}
+        selectedCompanies={selectedCompanies}
+        onSelectionChange={handleSelectionChange}
+        searchTerm={searchTerm}
+        onSearchChange={handleSearchChange}
+        loading={loading}
+        error={error}
+      />
+      
+      <CrawlControls
+        selectedCompanies={selectedCompanies}
+        onTriggerCrawl={handleTriggerCrawl}
+        onTriggerRecrawlAll={handleTriggerRecrawlAll}
+        onPreviewCrawl={handlePreviewCrawl}
+        crawling={crawling}
+        crawledHistory={crawledHistory}
+      />
+
+      <CrawlProgress onCrawlFinished={handleCrawlFinished} />
+
+      <CrawlHistory 
+        crawledHistory={crawledHistory}
+      />
+    </>
+  );
+
+  const metricsView = (
+    <CrawlMetricsDashboard
+      selectedCompany={selectedMetricsCompany}
+      onCompanyChange={handleMetricsCompanyChange}
+    />
+  );
+
   return (
     <div className="app-container">
       <header className="app-header">
@@ -102,7 +222,7 @@ function App() {
           </div>
           <button 
             className="storage-config-button"
-            onClick={() => setShowStorageConfig(true)}
+            onClick={openStorageConfig}
             title="Configure Storage Settings"
           >
             ⚙️ Storage Settings
@@ -140,65 +260,51 @@ function App() {
       </section>
       
       {/* Tab Navigation */}
-      <div className="tab-navigation">
-        <button 
-          className={`tab-button ${activeTab === 'crawl' ? 'active' : ''}`}
-          onClick={() => setActiveTab('crawl')}
+      <nav className="tab-navigation">
+        <Link
+          to={connectionPath(lastConnectionId)}
+          className={`tab-button ${activeView === 'crawl' ? 'active' : ''}`}
         >
           📥 Crawl Management
-        </button>
-        <button 
-          className={`tab-button ${activeTab === 'metrics' ? 'active' : ''}`}
-          onClick={() => setActiveTab('metrics')}
+        </Link>
+        <Link
+          to="/jobs"
+          className={`tab-button ${activeView === 'jobs' ? 'active' : ''}`}
+        >
+          🗂️ Crawl Jobs
+        </Link>
+        <Link
+          to="/metrics"
+          className={`tab-button ${activeView === 'metrics' ? 'active' : ''}`}
         >
           📊 Metrics Dashboard
-        </button>
-        <button 
-          className={`tab-button ${activeTab === 'config' ? 'active' : ''}`}
-          onClick={() => setActiveTab('config')}
+        </Link>
+        <Link
+          to="/config"
+          className={`tab-button ${activeView === 'config' ? 'active' : ''}`}
         >
           ⚙️ Configuration
-        </button>
-      </div>
+        </Link>
+      </nav>
       
       <main className="main-content">
-        {activeTab === 'crawl' ? (
-          <>
-            <ExternalConnectionManager 
-              onConnectionSelect={handleConnectionSelect}
-            />
-            
-            <CompanySelector
-              companies={companies}
-              selectedCompanies={selectedCompanies}
-              onSelectionChange={handleSelectionChange}
-              loading={loading}
-              error={error}
-            />
-            
-            <CrawlControls
-              selectedCompanies={selectedCompanies}
-              onTriggerCrawl={handleTriggerCrawl}
-              onTriggerRecrawlAll={handleTriggerRecrawlAll}
-              crawling={crawling}
-              crawledHistory={crawledHistory}
-            />
-
-            <CrawlHistory 
-              crawledHistory={crawledHistory}
-            />
-          </>
-        ) : activeTab === 'metrics' ? (
-          <CrawlMetricsDashboard />
-        ) : (
-          <DataCollectionConfig />
-        )}
+        <Routes location={viewLocation}>
+          <Route path="/" element={<Navigate to="/crawl" replace />} />
+          <Route path="/crawl" element={crawlView} />
+          <Route path="/connections/:connectionId" element={crawlView} />
+          <Route path="/jobs" element={<CrawlJobs />} />
+          <Route path="/metrics" element={metricsView} />
+          <Route path="/metrics/company/:companyName" element={metricsView} />
+          <Route path="/config" element={<DataCollectionConfig />} />
+          <Route path={STORAGE_SETTINGS_PATH} element={null} />
+          <Route path="*" element={<Navigate to="/crawl" replace />} />
+        </Routes>
       </main>
 
       {/* Storage Configuration Modal */}
-      {showStorageConfig && (
+      {location.pathname === STORAGE_SETTINGS_PATH && (
         <StorageConfig 
-          onClose={() => setShowStorageConfig(false)}
+          onClose={closeStorageConfig}
         />
       )}
     </div>
@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useMemo } from 'react';
 
-const CompanySelector = ({ companies, selectedCompanies, onSelectionChange, loading, error }) => {
-  const [searchTerm, setSearchTerm] = useState('');
+// The search term is owned by the parent so it can live in the URL (?q=)
+const CompanySelector = ({ companies, selectedCompanies, onSelectionChange, searchTerm = '', onSearchChange, loading, error }) => {
   const [selectAll, setSelectAll] = useState(false);
 
   // Filter companies based on search term
@@ -28,7 +28,9 @@ const CompanySelector = ({ companies, selectedCompanies, onSelectionChange, load
   }, [selectedCompanies, filteredCompanies]);
 
   const handleSearchChange = (e) => {
-    setSearchTerm(e.target.value);
+    if (onSearchChange) {
+      onSearchChange(e.target.value);
+    }
   };
 
   const handleSelectAll = () => {
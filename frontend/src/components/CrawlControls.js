@@ -1,20 +1,65 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import CrawlPreview from './CrawlPreview';
+import CrawlOverrides, { EMPTY_OVERRIDES, toCrawlOptions, overridesError } from './CrawlOverrides';
+import { isCancelled } from '../services/apiService';
 
-const CrawlControls = ({ selectedCompanies, onTriggerCrawl, onTriggerRecrawlAll, crawling, crawledHistory }) => {
+const CrawlControls = ({ selectedCompanies, onTriggerCrawl, onTriggerRecrawlAll, onPreviewCrawl, crawling, crawledHistory }) => {
   const [message, setMessage] = useState('');
   const [messageType, setMessageType] = useState(''); // 'success' or 'error'
+  // The job queued by the last successful start, linked from the message
+  const [job, setJob] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const previewRequest = useRef(null);
+  // Per-crawl overrides of the saved data collection settings
+  const [overrides, setOverrides] = useState(EMPTY_OVERRIDES);
+  const invalidOverrides = overridesError(overrides) !== null;
+
+  // A preview only describes the selection and options it was made for
+  useEffect(() => {
+    previewRequest.current?.abort();
+    setPreview(null);
+  }, [selectedCompanies, overrides]);
+
+  useEffect(() => () => previewRequest.current?.abort(), []);
+
+  const handlePreviewClick = async () => {
+    previewRequest.current?.abort();
+    const controller = new AbortController();
+    previewRequest.current = controller;
+
+    try {
+      setPreviewing(true);
+      setMessage('');
+      setPreview(await onPreviewCrawl(selectedCompanies, toCrawlOptions(overrides), { signal: controller.signal }));
+    } catch (error) {
+      if (isCancelled(error)) {
+        return;
+      }
+      setMessage(`Failed to preview crawl: ${error.message}`);
+      setMessageType('error');
+    } finally {
+      if (previewRequest.current === controller) {
+        setPreviewing(false);
+      }
+    }
+  };
 
   const handleCrawlClick = async () => {
     if (selectedCompanies.length === 0) {
       setMessage('Please select at least one company before starting the crawl.');
       setMessageType('error');
+      setJob(null);
       return;
     }
 
     try {
       setMessage('');
-      await onTriggerCrawl(selectedCompanies);
-      setMessage(`Crawl started successfully for ${selectedCompanies.length} companies. The process is running in the background.`);
+      setJob(null);
+      setJob(await onTriggerCrawl(selectedCompanies, toCrawlOptions(overrides)));
+      const usingOverrides = toCrawlOptions(overrides) !== null ? ' with this crawl\'s options' : '';
+      setMessage(`Crawl started successfully for ${selectedCompanies.length} companies${usingOverrides}. Follow its progress below.`);
       setMessageType('success');
     } catch (error) {
       setMessage(`Failed to start crawl: ${error.message}`);
@@ -30,6 +75,7 @@ const CrawlControls = ({ selectedCompanies, onTriggerCrawl, onTriggerRecrawlAll,
       console.log('No previously crawled companies found');
       setMessage('No previously crawled companies found. Please crawl companies first.');
       setMessageType('error');
+      setJob(null);
       return;
     }
 
@@ -37,10 +83,11 @@ const CrawlControls = ({ selectedCompanies, onTriggerCrawl, onTriggerRecrawlAll,
 
     try {
       setMessage('');
+      setJob(null);
       console.log('Calling onTriggerRecrawlAll()');
-      await onTriggerRecrawlAll();
+      setJob(await onTriggerRecrawlAll());
       console.log('Recrawl completed successfully');
-      setMessage(`Recrawl started successfully for ${crawledHistory.companies.length} previously crawled companies. The process is running in the background.`);
+      setMessage(`Recrawl started successfully for ${crawledHistory.companies.length} previously crawled companies. Follow its progress below.`);
       setMessageType('success');
     } catch (error) {
       console.error('Error during recrawl:', error);
@@ -56,6 +103,9 @@ const CrawlControls = ({ selectedCompanies, onTriggerCrawl, onTriggerRecrawlAll,
       {message && (
         <div className={messageType}>
           {message}
+          {messageType === 'success' && job && (
+            <> Job <Link to="/jobs" title="Cancel, pause or resume it from the Crawl Jobs tab"><code>{job.id.slice(0, 8)}</code></Link>.</>
+          )}
         </div>
       )}
 
@@ -63,10 +113,21 @@ const CrawlControls = ({ selectedCompanies, onTriggerCrawl, onTriggerRecrawlAll,
         <button
           className="crawl-button"
           onClick={handleCrawlClick}
-          disabled={crawling || selectedCompanies.length === 0}
+          disabled={crawling || selectedCompanies.length === 0 || invalidOverrides}
         >
           {crawling ? 'Crawling in Progress...' : `Start Crawl (${selectedCompanies.length} companies)`}
         </button>
+
+        {onPreviewCrawl && (
+          <button
+            className="preview-button"
+            onClick={handlePreviewClick}
+            disabled={previewing || selectedCompanies.length === 0 || invalidOverrides}
+            title="List the filings this crawl would fetch, without fetching them"
+          >
+            {previewing ? 'Previewing...' : 'Preview'}
+          </button>
+        )}
         
         {crawledHistory?.companies?.length > 0 && (
           <button
@@ -80,6 +141,10 @@ const CrawlControls = ({ selectedCompanies, onTriggerCrawl, onTriggerRecrawlAll,
         )}
       </div>
 
+      <CrawlOverrides overrides={overrides} onChange={setOverrides} disabled={crawling} />
+
+      {preview && <CrawlPreview preview={preview} onClose={() => setPreview(null)} />}
+
       {selectedCompanies.length > 0 && !crawledHistory?.companies?.length && (
         <div className="section">
           <h3>Selected Companies for Crawl:</h3>
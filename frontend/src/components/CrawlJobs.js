@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  fetchCrawlJobs,
+  cancelCrawlJob,
+  pauseCrawlJob,
+  resumeCrawlJob,
+  retryFailedCrawlJob,
+  isCancelled
+} from '../services/apiService';
+import './CrawlJobs.css';
+
+const POLL_INTERVAL_MS = 5000;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '–');
+
+// Per-crawl overrides of the saved data collection settings, as one line
+const describeOptions = (options) => [
+  options.formTypes?.length > 0 && `forms ${options.formTypes.join(', ')}`,
+  options.fromDate && `from ${new Date(options.fromDate).toLocaleDateString()}`,
+  options.toDate && `to ${new Date(options.toDate).toLocaleDateString()}`,
+  options.maxFilingsPerCompany && `at most ${options.maxFilingsPerCompany} per company`
+].filter(Boolean).join('; ');
+
+const companyList = (companies) => {
+  const tickers = companies.map(company => company.ticker || company.title);
+  return tickers.length > 5 ? `${tickers.slice(0, 5).join(', ')} and ${tickers.length - 5} more` : tickers.join(', ');
+};
+
+// Every crawl, recrawl and retry queued through the API or the MCP server, newest first.
+// Jobs are kept in the server's memory, so the list starts empty after a restart.
+const CrawlJobs = () => {
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // Kept apart from action errors so the next successful poll can clear it
+  const [loadError, setLoadError] = useState('');
+  const [success, setSuccess] = useState('');
+  // Id of the job an action is being sent for, so its buttons are disabled meanwhile
+  const [pendingJobId, setPendingJobId] = useState(null);
+  // Aborted on unmount, so reloads started by actions or Refresh do not update an unmounted view
+  const controllerRef = useRef(null);
+
+  const loadJobs = useCallback(async (signal) => {
+    try {
+      const data = await fetchCrawlJobs({ signal });
+      setJobs(data);
+      setLoadError('');
+    } catch (err) {
+      if (isCancelled(err)) {
+        return;
+      }
+      setLoadError(`Failed to load crawl jobs: ${err.message}`);
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    loadJobs(controller.signal);
+    const timer = setInterval(() => loadJobs(controller.signal), POLL_INTERVAL_MS);
+    return () => {
+      clearInterval(timer);
+      controller.abort();
+    };
+  }, [loadJobs]);
+
+  const runAction = async (job, action, describe) => {
+    if (action === cancelCrawlJob && !window.confirm(`Cancel crawl job ${job.id}? Documents already processed are kept.`)) {
+      return;
+    }
+
+    try {
+      setPendingJobId(job.id);
+      setError('');
+      setSuccess('');
+      const result = await action(job.id);
+      setSuccess(describe(result));
+      await loadJobs(controllerRef.current?.signal);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPendingJobId(null);
+    }
+  };
+
+  return (
+    <div className="section crawl-jobs">
+      <div className="crawl-jobs-header">
+        <h2>Crawl Jobs</h2>
+        <button className="crawl-jobs-button" onClick={() => loadJobs(controllerRef.current?.signal)} disabled={loading}>
+          Refresh
+        </button>
+      </div>
+
+      {loadError && <div className="error">{loadError}</div>}
+      {error && <div className="error">{error}</div>}
+      {success && <div className="success">{success}</div>}
+
+      {loading ? (
+        <div className="loading">Loading crawl jobs...</div>
+      ) : jobs.length === 0 ? (
+        <div className="crawl-jobs-empty">No crawl jobs have been started since the server started.</div>
+      ) : (
+        <table className="crawl-jobs-table">
+          <thead>
+            <tr>
+              <th>Job</th>
+              <th>Status</th>
+              <th>Connection</th>
+              <th>Companies</th>
+              <th>Created</th>
+              <th>Finished</th>
+              <th>Documents</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {jobs.map((job) => {
+              const busy = pendingJobId === job.id;
+              const finished = FINISHED_STATUSES.includes(job.status);
+              return (
+                <tr key={job.id}>
+                  <td>
+                    <code title={job.id}>{job.id.slice(0, 8)}</code>
+                    <div className="crawl-jobs-type">
+                      {job.type}
+                      {job.retryOfJobId && <> of <code title={job.retryOfJobId}>{job.retryOfJobId.slice(0, 8)}</code> ({job.retryDocumentCount} documents)</>}
+                    </div>
+                    {job.options && <div className="crawl-jobs-options">{describeOptions(job.options)}</div>}
+                  </td>
+                  <td>
+                    <span className={`crawl-jobs-status ${job.status}`}>{job.status}</span>
+                    {job.errorMessage && <div className="crawl-jobs-error">{job.errorMessage}</div>}
+                  </td>
+                  <td><code>{job.connectionId || 'default'}</code></td>
+                  <td title={job.companies.map(company => company.title).join('\n')}>
+                    {job.companies.length}: {companyList(job.companies)}
+                  </td>
+                  <td>{formatDate(job.createdAt)}</td>
+                  <td>{formatDate(job.completedAt)}</td>
+                  <td>
+                    {job.successfulDocuments} processed
+                    {job.failedDocuments > 0 && <div className="crawl-jobs-error">{job.failedDocuments} failed</div>}
+                  </td>
+                  <td className="crawl-jobs-actions">
+                    {job.status === 'running' && (
+                      <button
+                        className="crawl-jobs-button"
+                        onClick={() => runAction(job, pauseCrawlJob, () => `Job ${job.id.slice(0, 8)} will pause after the current document.`)}
+                        disabled={busy}
+                      >
+                        Pause
+                      </button>
+                    )}
+                    {job.status === 'paused' && (
+                      <button
+                        className="crawl-jobs-button"
+                        onClick={() => runAction(job, resumeCrawlJob, () => `Job ${job.id.slice(0, 8)} resumed.`)}
+                        disabled={busy}
+                      >
+                        Resume
+                      </button>
+                    )}
+                    {!finished && (
+                      <button
+                        className="crawl-jobs-button danger"
+                        onClick={() => runAction(job, cancelCrawlJob, () => `Cancellation requested for job ${job.id.slice(0, 8)}.`)}
+                        disabled={busy || job.status === 'cancelling'}
+                      >
+                        Cancel
+                      </button>
+                    )}
+                    {finished && job.failedDocuments > 0 && (
+                      <button
+                        className="crawl-jobs-button"
+                        onClick={() => runAction(job, retryFailedCrawlJob, (retry) => `Retry job ${retry.id.slice(0, 8)} queued for ${retry.retryDocumentCount} failed documents.`)}
+                        disabled={busy}
+                      >
+                        Retry failed
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default CrawlJobs;
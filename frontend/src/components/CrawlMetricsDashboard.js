@@ -1,60 +1,65 @@
-import React, { useState, useEffect } from 'react';
-import apiService from '../services/apiService';
+import React, { useState, useEffect, useCallback } from 'react';
+import { getCrawlMetrics, getCrawlStatus, getCrawlErrors, getCompanyCrawlMetrics, isCancelled } from '../services/apiService';
 import './CrawlMetricsDashboard.css';
 
-const CrawlMetricsDashboard = () => {
+// The selected company comes from the URL (/metrics/company/:companyName); changes are reported through onCompanyChange
+const CrawlMetricsDashboard = ({ selectedCompany = '', onCompanyChange }) => {
   const [overallMetrics, setOverallMetrics] = useState(null);
   const [crawlStatus, setCrawlStatus] = useState(null);
   const [processingErrors, setProcessingErrors] = useState([]);
-  const [selectedCompany, setSelectedCompany] = useState('');
   const [companyMetrics, setCompanyMetrics] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
-  useEffect(() => {
-    fetchData();
-  }, []);
-
-  const fetchData = async () => {
+  const fetchData = useCallback(async (signal) => {
     try {
       setLoading(true);
-      const [metricsResponse, statusResponse, errorsResponse] = await Promise.all([
-        apiService.get('/crawl-metrics'),
-        apiService.get('/crawl-status'),
-        apiService.get('/crawl-errors')
+      const [metrics, status, errors] = await Promise.all([
+        getCrawlMetrics({ signal }),
+        getCrawlStatus({ signal }),
+        getCrawlErrors(null, { signal })
       ]);
 
-      setOverallMetrics(metricsResponse.data);
-      setCrawlStatus(statusResponse.data);
-      setProcessingErrors(errorsResponse.data);
+      setOverallMetrics(metrics);
+      setCrawlStatus(status);
+      setProcessingErrors(errors);
       setError('');
     } catch (err) {
-      console.error('Error fetching crawl data:', err);
-      setError('Failed to fetch crawl metrics');
-    } finally {
-      setLoading(false);
+      if (isCancelled(err)) {
+        return;
+      }
+      setError(`Failed to fetch crawl metrics: ${err.message}`);
     }
-  };
+    setLoading(false);
+  }, []);
 
-  const fetchCompanyMetrics = async (companyName) => {
-    if (!companyName) {
-      setCompanyMetrics(null);
-      return;
-    }
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchData(controller.signal);
+    return () => controller.abort();
+  }, [fetchData]);
 
-    try {
-      const response = await apiService.get(`/crawl-metrics/${encodeURIComponent(companyName)}`);
-      setCompanyMetrics(response.data);
-    } catch (err) {
-      console.error('Error fetching company metrics:', err);
+  useEffect(() => {
+    if (!selectedCompany) {
       setCompanyMetrics(null);
+      return undefined;
     }
-  };
+
+    const controller = new AbortController();
+    getCompanyCrawlMetrics(selectedCompany, { signal: controller.signal })
+      .then(setCompanyMetrics)
+      .catch(err => {
+        if (!isCancelled(err)) {
+          setCompanyMetrics(null);
+        }
+      });
+    return () => controller.abort();
+  }, [selectedCompany]);
 
   const handleCompanyChange = (e) => {
-    const company = e.target.value;
-    setSelectedCompany(company);
-    fetchCompanyMetrics(company);
+    if (onCompanyChange) {
+      onCompanyChange(e.target.value);
+    }
   };
 
   const formatDate = (dateString) => {
@@ -79,7 +84,7 @@ const CrawlMetricsDashboard = () => {
       <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded mb-4">
         {error}
         <button 
-          onClick={fetchData}
+          onClick={() => fetchData()}
           className="ml-4 bg-red-600 text-white px-3 py-1 rounded text-sm hover:bg-red-700"
         >
           Retry
@@ -93,7 +98,7 @@ const CrawlMetricsDashboard = () => {
       <div className="dashboard-header">
         <h2 className="dashboard-title">Document Crawl Metrics</h2>
         <button 
-          onClick={fetchData}
+          onClick={() => fetchData()}
           className="refresh-button"
         >
           Refresh
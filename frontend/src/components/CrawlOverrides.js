@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react';
+import { AVAILABLE_FORM_TYPES } from './DataCollectionConfig';
+import { getDataCollectionConfig, isCancelled } from '../services/apiService';
+import './CrawlOverrides.css';
+
+export const EMPTY_OVERRIDES = { formTypes: [], fromDate: '', toDate: '', maxFilingsPerCompany: '' };
+
+// The crawl payload's options, or null when nothing is overridden
+export const toCrawlOptions = (overrides) => {
+  const options = {};
+  if (overrides.formTypes.length > 0) options.formTypes = overrides.formTypes;
+  if (overrides.fromDate) options.fromDate = overrides.fromDate;
+  if (overrides.toDate) options.toDate = overrides.toDate;
+  if (overrides.maxFilingsPerCompany) options.maxFilingsPerCompany = Number(overrides.maxFilingsPerCompany);
+  return Object.keys(options).length > 0 ? options : null;
+};
+
+// Same checks as the server, so the buttons can be disabled before a request fails
+export const overridesError = (overrides) => {
+  if (overrides.fromDate && overrides.toDate && overrides.fromDate > overrides.toDate) {
+    return 'The from date must not be after the to date.';
+  }
+  if (overrides.maxFilingsPerCompany && !(Number.isInteger(Number(overrides.maxFilingsPerCompany)) && Number(overrides.maxFilingsPerCompany) >= 1)) {
+    return 'Max filings per company must be a whole number of at least 1.';
+  }
+  return null;
+};
+
+// Optional overrides of the saved data collection settings for a single crawl; the saved settings are not changed
+const CrawlOverrides = ({ overrides, onChange, disabled = false }) => {
+  const [savedConfig, setSavedConfig] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    getDataCollectionConfig({ signal: controller.signal })
+      .then(setSavedConfig)
+      .catch(err => {
+        if (!isCancelled(err)) {
+          console.error('Error loading data collection config:', err);
+        }
+      });
+    return () => controller.abort();
+  }, []);
+
+  const active = toCrawlOptions(overrides) !== null;
+  const error = overridesError(overrides);
+
+  const handleFormTypeToggle = (formType) => {
+    const formTypes = overrides.formTypes.includes(formType)
+      ? overrides.formTypes.filter(type => type !== formType)
+      : [...overrides.formTypes, formType];
+    onChange({ ...overrides, formTypes });
+  };
+
+  const handleFieldChange = (field) => (e) => {
+    onChange({ ...overrides, [field]: e.target.value });
+  };
+
+  return (
+    <details className="crawl-overrides">
+      <summary>
+        Crawl options {active ? <span className="crawl-overrides-active">overrides active</span> : '(saved settings)'}
+      </summary>
+
+      <p className="crawl-overrides-help">
+        Leave these empty to use the saved settings
+        {savedConfig && <> ({savedConfig.yearsOfData} years of {savedConfig.includedFormTypes.join(', ')})</>}.
+        They apply to Start Crawl and Preview only; Recrawl All always uses the saved settings.
+      </p>
+
+      <div className="crawl-overrides-field">
+        <span className="crawl-overrides-label">Form types</span>
+        <div className="crawl-overrides-forms">
+          {AVAILABLE_FORM_TYPES.map(formType => (
+            <label key={formType}>
+              <input
+                type="checkbox"
+                checked={overrides.formTypes.includes(formType)}
+                onChange={() => handleFormTypeToggle(formType)}
+                disabled={disabled}
+              />
+              {formType}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="crawl-overrides-row">
+        <label className="crawl-overrides-field">
+          <span className="crawl-overrides-label">From</span>
+          <input type="date" value={overrides.fromDate} onChange={handleFieldChange('fromDate')} disabled={disabled} />
+        </label>
+        <label className="crawl-overrides-field">
+          <span className="crawl-overrides-label">To</span>
+          <input type="date" value={overrides.toDate} onChange={handleFieldChange('toDate')} disabled={disabled} />
+        </label>
+        <label className="crawl-overrides-field">
+          <span className="crawl-overrides-label">Max filings per company</span>
+          <input
+            type="number"
+            min="1"
+            step="1"
+            placeholder="No limit"
+            value={overrides.maxFilingsPerCompany}
+            onChange={handleFieldChange('maxFilingsPerCompany')}
+            disabled={disabled}
+          />
+        </label>
+        <button
+          type="button"
+          className="crawl-overrides-reset"
+          onClick={() => onChange(EMPTY_OVERRIDES)}
+          disabled={disabled || !active}
+        >
+          Use saved settings
+        </button>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+    </details>
+  );
+};
+
+export default CrawlOverrides;
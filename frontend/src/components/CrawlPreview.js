@@ -0,0 +1,125 @@
+import React from 'react';
+import './CrawlPreview.css';
+
+// Crawls above either limit are flagged, as they take hours and keep SEC busy for all of it
+const LARGE_CRAWL_DOCUMENTS = 1000;
+const LONG_CRAWL_SECONDS = 2 * 60 * 60;
+
+const STATUS_LABELS = {
+  new: 'New',
+  tracked: 'Skipped',
+  pending: 'Pending',
+  failed: 'Retry'
+};
+
+const formatDuration = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.ceil((totalSeconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+};
+
+const formatDate = (value) => new Date(value).toLocaleDateString();
+
+// Result of a dry run from previewCrawl: nothing has been tracked or fetched yet
+const CrawlPreview = ({ preview, onClose }) => {
+  const isLarge = preview.totalDocuments > LARGE_CRAWL_DOCUMENTS || preview.estimatedSeconds > LONG_CRAWL_SECONDS;
+  const failedCompanies = preview.companies.filter(company => company.errorMessage);
+
+  return (
+    <div className="crawl-preview">
+      <div className="crawl-preview-header">
+        <h3>Crawl Preview</h3>
+        <button className="crawl-preview-close" onClick={onClose} title="Close preview">×</button>
+      </div>
+
+      <div className="crawl-preview-settings">
+        Filings from <strong>{formatDate(preview.fromDate)}</strong> to <strong>{preview.toDate ? formatDate(preview.toDate) : 'today'}</strong>{' '}
+        of form types <strong>{preview.includedFormTypes.join(', ')}</strong>
+        {preview.maxFilingsPerCompany && <>, at most <strong>{preview.maxFilingsPerCompany}</strong> per company</>},{' '}
+        {preview.isOverridden ? 'from this crawl\'s options.' : 'from the saved data collection settings.'}
+      </div>
+
+      <div className="crawl-preview-stats">
+        <div><strong>{preview.totalDocuments}</strong> documents to fetch</div>
+        <div><strong>{preview.newDocuments}</strong> new</div>
+        <div><strong>{preview.pendingDocuments}</strong> pending from earlier crawls</div>
+        <div><strong>{preview.failedDocuments}</strong> failed before</div>
+        <div><strong>{preview.trackedDocuments}</strong> already tracked, skipped</div>
+        <div><strong>{preview.skippedFilings}</strong> filings skipped in total</div>
+        <div>
+          About <strong>{formatDuration(preview.estimatedSeconds)}</strong>{' '}
+          <span className="crawl-preview-rate">
+            at {preview.documentsPerMinute} docs/min{preview.throughputMeasured ? ' (last crawl)' : ' (estimate; no crawl has run yet)'}
+          </span>
+        </div>
+      </div>
+
+      {isLarge && (
+        <div className="crawl-preview-warning">
+          ⚠️ This is a large crawl. Consider fewer companies, a shorter date range, fewer form types or a per-company limit.
+        </div>
+      )}
+
+      {preview.trackedDocuments > 0 && (
+        <div className="crawl-preview-note">
+          Already tracked documents are skipped; use Recrawl All to refresh them.
+        </div>
+      )}
+
+      {failedCompanies.length > 0 && (
+        <div className="error">
+          Filings could not be read for {failedCompanies.map(company => company.ticker).join(', ')}; they are not included above.
+        </div>
+      )}
+
+      <div className="crawl-preview-companies">
+        {preview.companies.map((company) => (
+          <details key={`${company.ticker}-${company.cik}`}>
+            <summary>
+              <strong>{company.ticker}</strong> - {company.companyName}:{' '}
+              {company.newDocuments + company.pendingDocuments + company.failedDocuments} to fetch
+              ({company.newDocuments} new, {company.pendingDocuments} pending, {company.failedDocuments} failed before),{' '}
+              {company.skippedByDate + company.skippedByForm + company.skippedByLimit + company.trackedDocuments} skipped
+              {company.trackedDocuments > 0 && <> ({company.trackedDocuments} already tracked)</>}
+            </summary>
+            {company.errorMessage && <div className="crawl-preview-error">{company.errorMessage}</div>}
+            {company.filings.length > 0 && (
+              <table className="crawl-preview-filings">
+                <thead>
+                  <tr>
+                    <th>Form</th>
+                    <th>Date</th>
+                    <th>Status</th>
+                    <th>Document</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {company.filings.map((filing) => (
+                    <tr key={filing.url}>
+                      <td>{filing.form}</td>
+                      <td>{formatDate(filing.filingDate)}</td>
+                      <td>
+                        <span
+                          className={`crawl-preview-status ${filing.status}`}
+                          title={filing.lastProcessedDate ? `Last processed ${new Date(filing.lastProcessedDate).toLocaleString()}${filing.lastSucceeded === false ? ' (failed)' : ''}` : undefined}
+                        >
+                          {STATUS_LABELS[filing.status] || filing.status}
+                        </span>
+                      </td>
+                      <td>
+                        <a href={filing.url} target="_blank" rel="noopener noreferrer">{filing.url.split('/').pop()}</a>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </details>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CrawlPreview;
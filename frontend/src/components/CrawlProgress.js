@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { getCrawlStatus, subscribeToCrawlProgress, isCancelled } from '../services/apiService';
+import './CrawlProgress.css';
+
+const POLL_INTERVAL_MS = 5000;
+
+const formatDuration = (totalSeconds) => {
+  if (totalSeconds == null) return 'Calculating...';
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+};
+
+// A paused crawl has not finished yet
+const isActive = (progress) => progress?.status === 'running' || progress?.status === 'paused';
+
+const percentage = (done, total) => (total > 0 ? Math.min(100, Math.round((done / total) * 100)) : 0);
+
+// Live view of the running crawl. Progress is kept by the server, so it is picked up again after a page reload.
+// Updates are pushed over server-sent events; if the stream closes for good the panel falls back to polling /crawl-status.
+const CrawlProgress = ({ onCrawlFinished }) => {
+  const [progress, setProgress] = useState(null);
+  const [mode, setMode] = useState(typeof EventSource === 'undefined' ? 'polling' : 'live');
+  const previousProgress = useRef(null);
+
+  useEffect(() => {
+    if (mode !== 'live') {
+      return undefined;
+    }
+    const close = subscribeToCrawlProgress(setProgress, (error, closed) => {
+      // While the stream is only reconnecting, EventSource retries by itself
+      if (!closed) {
+        console.warn('Crawl progress stream interrupted:', error);
+        return;
+      }
+      console.warn('Crawl progress stream closed, falling back to polling');
+      close();
+      setMode('polling');
+    });
+    return close;
+  }, [mode]);
+
+  useEffect(() => {
+    if (mode !== 'polling') {
+      return undefined;
+    }
+    const controller = new AbortController();
+    const poll = async () => {
+      try {
+        const status = await getCrawlStatus({ signal: controller.signal });
+        setProgress(status.progress ?? null);
+      } catch (err) {
+        if (!isCancelled(err)) {
+          console.error('Error polling crawl status:', err);
+        }
+      }
+    };
+    poll();
+    const timer = setInterval(poll, POLL_INTERVAL_MS);
+    return () => {
+      clearInterval(timer);
+      controller.abort();
+    };
+  }, [mode]);
+
+  // Let the parent refresh anything that depends on the crawl once it ends
+  useEffect(() => {
+    const previous = previousProgress.current;
+    previousProgress.current = progress;
+    if (isActive(previous) && progress?.crawlId === previous.crawlId && !isActive(progress) && onCrawlFinished) {
+      onCrawlFinished(progress);
+    }
+  }, [progress, onCrawlFinished]);
+
+  const processedDocuments = progress ? progress.successfulDocuments + progress.failedDocuments : 0;
+
+  return (
+    <div className="section crawl-progress">
+      <div className="crawl-progress-header">
+        <h2>Crawl Progress</h2>
+        <span className="crawl-progress-mode" title={mode === 'live' ? 'Updates are pushed by the server' : `Refreshed every ${POLL_INTERVAL_MS / 1000} seconds`}>
+          {mode === 'live' ? '● Live' : '↻ Polling'}
+        </span>
+      </div>
+
+      {!progress ? (
+        <div className="crawl-progress-empty">No crawl has run since the server started.</div>
+      ) : (
+        <>
+          <div className="crawl-progress-summary">
+            <span className={`crawl-progress-status ${progress.status}`}>{progress.status}</span>
+            <span>Connection: <code>{progress.connectionId || 'default'}</code></span>
+            <span>Started: {new Date(progress.startedAt).toLocaleString()}</span>
+            {progress.completedAt && <span>Finished: {new Date(progress.completedAt).toLocaleString()}</span>}
+          </div>
+
+          {progress.errorMessage && (
+            <div className="error">Crawl failed: {progress.errorMessage}</div>
+          )}
+
+          <div className="crawl-progress-bar" title={`${processedDocuments} of ${progress.totalDocuments} documents`}>
+            <div className="crawl-progress-bar-fill" style={{ width: `${percentage(processedDocuments, progress.totalDocuments)}%` }} />
+          </div>
+
+          <div className="crawl-progress-stats">
+            <div><strong>{processedDocuments}</strong> / {progress.totalDocuments} documents</div>
+            <div><strong>{progress.completedCompanies}</strong> / {progress.companies.length} companies</div>
+            <div><strong>{progress.failedDocuments}</strong> failed</div>
+            <div><strong>{progress.documentsPerMinute ?? '–'}</strong> docs/min</div>
+            {progress.status === 'running' && (
+              <div>ETA: <strong>{formatDuration(progress.estimatedSecondsRemaining)}</strong></div>
+            )}
+          </div>
+
+          {progress.status === 'paused' && (
+            <div className="crawl-progress-paused">Paused. Resume the job from the Crawl Jobs tab.</div>
+          )}
+
+          {progress.currentDocument && (
+            <div className="crawl-progress-current">
+              Processing {progress.currentDocument.companyName} {progress.currentDocument.form}:{' '}
+              <a href={progress.currentDocument.url} target="_blank" rel="noopener noreferrer">
+                {progress.currentDocument.url}
+              </a>
+            </div>
+          )}
+
+          <table className="crawl-progress-companies">
+            <thead>
+              <tr>
+                <th>Company</th>
+                <th>Status</th>
+                <th>Documents</th>
+                <th>Failed</th>
+              </tr>
+            </thead>
+            <tbody>
+              {progress.companies.map((company) => {
+                const done = company.successfulDocuments + company.failedDocuments;
+                return (
+                  <tr key={`${company.ticker}-${company.companyName}`} className={company.companyName === progress.currentCompany ? 'current' : ''}>
+                    <td><strong>{company.ticker}</strong> - {company.companyName}</td>
+                    <td>{company.status}</td>
+                    <td>
+                      {company.totalDocuments == null ? (company.status === 'running' ? 'Scanning filings...' : '–') : (
+                        <div className="crawl-progress-company-bar" title={`${done} of ${company.totalDocuments}`}>
+                          <div className="crawl-progress-bar-fill" style={{ width: `${percentage(done, company.totalDocuments)}%` }} />
+                          <span>{done} / {company.totalDocuments}</span>
+                        </div>
+                      )}
+                    </td>
+                    <td>{company.failedDocuments}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {progress.recentErrors.length > 0 && (
+            <div className="crawl-progress-errors">
+              <h3>Errors ({progress.failedDocuments})</h3>
+              <ul>
+                {progress.recentErrors.map((error) => (
+                  <li key={`${error.url}-${error.errorDate}`}>
+                    <span className="crawl-progress-error-time">{new Date(error.errorDate).toLocaleTimeString()}</span>{' '}
+                    <strong>{error.companyName} {error.form}</strong>: {error.errorMessage}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CrawlProgress;
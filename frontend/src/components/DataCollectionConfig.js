@@ -1,7 +1,13 @@
 import React, { useState, useEffect } from 'react';
-import { apiService, getSchedulerConfig, saveSchedulerConfig } from '../services/apiService';
+import { apiService, getSchedulerConfig, saveSchedulerConfig, isCancelled } from '../services/apiService';
 import './DataCollectionConfig.css';
 
+// SEC form types offered for the saved settings and for per-crawl overrides
+export const AVAILABLE_FORM_TYPES = [
+  '10-K', '10-Q', '8-K', 'DEF 14A', '10-K/A', '10-Q/A', '8-K/A',
+  'S-1', 'S-3', 'S-4', 'S-8', 'S-11', '424B', 'DEFM14A', 'DEFR14A'
+];
+
 const DataCollectionConfig = () => {
   const [config, setConfig] = useState({
     yearsOfData: 3,
@@ -26,40 +32,39 @@ const DataCollectionConfig = () => {
   const [schedulerError, setSchedulerError] = useState('');
   const [schedulerSuccess, setSchedulerSuccess] = useState('');
 
-  const availableFormTypes = [
-    '10-K', '10-Q', '8-K', 'DEF 14A', '10-K/A', '10-Q/A', '8-K/A',
-    'S-1', 'S-3', 'S-4', 'S-8', 'S-11', '424B', 'DEFM14A', 'DEFR14A'
-  ];
-
   useEffect(() => {
-    fetchConfig();
-    fetchSchedulerConfig();
+    const controller = new AbortController();
+    fetchConfig(controller.signal);
+    fetchSchedulerConfig(controller.signal);
+    return () => controller.abort();
   }, []);
 
-  const fetchConfig = async () => {
+  const fetchConfig = async (signal) => {
     try {
       setLoading(true);
-      const response = await apiService.getDataCollectionConfig();
+      const response = await apiService.getDataCollectionConfig({ signal });
       setConfig(response);
       setOriginalConfig(response);
       setError('');
     } catch (err) {
-      console.error('Error fetching config:', err);
-      setError('Failed to load configuration');
-    } finally {
-      setLoading(false);
+      if (isCancelled(err)) {
+        return;
+      }
+      setError(`Failed to load configuration: ${err.message}`);
     }
+    setLoading(false);
   };
 
-  const fetchSchedulerConfig = async () => {
+  const fetchSchedulerConfig = async (signal) => {
     try {
-      const response = await getSchedulerConfig();
+      const response = await getSchedulerConfig({ signal });
       setSchedulerConfig(response);
       setOriginalSchedulerConfig(response);
       setSchedulerError('');
     } catch (err) {
-      console.error('Error fetching scheduler config:', err);
-      setSchedulerError('Failed to load scheduler configuration');
+      if (!isCancelled(err)) {
+        setSchedulerError(`Failed to load scheduler configuration: ${err.message}`);
+      }
     }
   };
 
@@ -92,8 +97,7 @@ const DataCollectionConfig = () => {
       setOriginalConfig(config);
       setSuccess('Configuration saved successfully! Changes will apply to new crawls.');
     } catch (err) {
-      console.error('Error saving config:', err);
-      setError('Failed to save configuration');
+      setError(`Failed to save configuration: ${err.message}`);
     } finally {
       setSaving(false);
     }
@@ -117,8 +121,7 @@ const DataCollectionConfig = () => {
       setOriginalSchedulerConfig(schedulerConfig);
       setSchedulerSuccess('Scheduler configuration saved successfully!');
     } catch (err) {
-      console.error('Error saving scheduler config:', err);
-      setSchedulerError('Failed to save scheduler configuration');
+      setSchedulerError(`Failed to save scheduler configuration: ${err.message}`);
     } finally {
       setSchedulerSaving(false);
     }
@@ -217,7 +220,7 @@ const DataCollectionConfig = () => {
         </p>
         
         <div className="form-types-grid">
-          {availableFormTypes.map(formType => (
+          {AVAILABLE_FORM_TYPES.map(formType => (
             <label key={formType} className="form-type-checkbox">
               <input
                 type="checkbox"
@@ -1,9 +1,16 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import {
+  fetchExternalConnections,
+  createExternalConnection,
+  deleteExternalConnection,
+  isCancelled
+} from '../services/apiService';
 import './ExternalConnectionManager.css';
 
-const ExternalConnectionManager = ({ onConnectionSelect }) => {
+// The selected connection is owned by the parent (it lives in the URL as /connections/:id);
+// onConnectionSelect(id, { replace }) is called with replace: true for automatic selections
+const ExternalConnectionManager = ({ selectedConnectionId = '', onConnectionSelect }) => {
   const [connections, setConnections] = useState([]);
-  const [selectedConnectionId, setSelectedConnectionId] = useState('');
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -15,46 +22,36 @@ const ExternalConnectionManager = ({ onConnectionSelect }) => {
     description: ''
   });
 
-  const fetchConnections = useCallback(async () => {
+  const fetchConnections = useCallback(async (signal) => {
     try {
       setLoading(true);
-      const response = await fetch('/external-connections');
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch connections: ${response.statusText}`);
-      }
-
-      const data = await response.json();
+      const data = await fetchExternalConnections({ signal });
       setConnections(data);
-
-      // Select a connection only if none selected already.
-      // Prefer an explicit default if present; otherwise pick the first available.
-      const preferred = data.find(conn => conn.isDefault) || data[0];
-      if (preferred) {
-        setSelectedConnectionId(prev => {
-          if (!prev) {
-            if (onConnectionSelect) {
-              onConnectionSelect(preferred.id);
-            }
-            return preferred.id;
-          }
-          return prev;
-        });
-      }
     } catch (err) {
-      console.error('Error fetching connections:', err);
-      setError('Failed to load connections');
-    } finally {
-      setLoading(false);
+      if (isCancelled(err)) {
+        return;
+      }
+      setError(`Failed to load connections: ${err.message}`);
     }
-  }, [onConnectionSelect]);
+    setLoading(false);
+  }, []);
 
   useEffect(() => {
-    fetchConnections();
+    const controller = new AbortController();
+    fetchConnections(controller.signal);
+    return () => controller.abort();
   }, [fetchConnections]);
 
+  // Select a connection only if none selected already.
+  // Prefer an explicit default if present; otherwise pick the first available.
+  useEffect(() => {
+    const preferred = connections.find(conn => conn.isDefault) || connections[0];
+    if (!selectedConnectionId && preferred && onConnectionSelect) {
+      onConnectionSelect(preferred.id, { replace: true });
+    }
+  }, [connections, selectedConnectionId, onConnectionSelect]);
+
   const handleConnectionSelect = (connectionId) => {
-    setSelectedConnectionId(connectionId);
     if (onConnectionSelect) {
       onConnectionSelect(connectionId);
     }
@@ -73,20 +70,7 @@ const ExternalConnectionManager = ({ onConnectionSelect }) => {
       setError('');
       setSuccess('');
 
-      const response = await fetch('/external-connections', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(newConnection),
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(errorText || 'Failed to create connection');
-      }
-
-      const createdConnection = await response.json();
+      const createdConnection = await createExternalConnection(newConnection);
       setSuccess(`Successfully created connection: ${createdConnection.name}`);
       
       // Reset form
@@ -97,14 +81,12 @@ const ExternalConnectionManager = ({ onConnectionSelect }) => {
       await fetchConnections();
       
       // Auto-select the new connection
-      setSelectedConnectionId(createdConnection.id);
       if (onConnectionSelect) {
         onConnectionSelect(createdConnection.id);
       }
 
     } catch (err) {
-      console.error('Error creating connection:', err);
-      setError(err.message || 'Failed to create connection');
+      setError(err.message);
     } finally {
       setLoading(false);
     }
@@ -120,14 +102,7 @@ const ExternalConnectionManager = ({ onConnectionSelect }) => {
       setError('');
       setSuccess('');
 
-      const response = await fetch(`/external-connections/${connectionId}`, {
-        method: 'DELETE',
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(errorText || 'Failed to delete connection');
-      }
+      await deleteExternalConnection(connectionId);
 
       setSuccess('Connection deleted successfully');
       
@@ -139,17 +114,13 @@ const ExternalConnectionManager = ({ onConnectionSelect }) => {
         const remainingConnections = connections.filter(conn => conn.id !== connectionId);
         if (remainingConnections.length > 0) {
           handleConnectionSelect(remainingConnections[0].id);
-        } else {
-          setSelectedConnectionId('');
-          if (onConnectionSelect) {
-            onConnectionSelect('');
-          }
+        } else if (onConnectionSelect) {
+          onConnectionSelect('');
         }
       }
 
     } catch (err) {
-      console.error('Error deleting connection:', err);
-      setError(err.message || 'Failed to delete connection');
+      setError(err.message);
     } finally {
       setLoading(false);
     }
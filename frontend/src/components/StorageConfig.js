@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { apiService } from '../services/apiService';
+import { apiService, isCancelled } from '../services/apiService';
 import './StorageConfig.css';
 
 const StorageConfig = ({ onClose }) => {
@@ -19,19 +19,23 @@ const StorageConfig = ({ onClose }) => {
   const [saveMessage, setSaveMessage] = useState('');
 
   useEffect(() => {
-    loadCurrentConfig();
+    const controller = new AbortController();
+    loadCurrentConfig(controller.signal);
+    return () => controller.abort();
   }, []);
 
-  const loadCurrentConfig = async () => {
+  const loadCurrentConfig = async (signal) => {
     try {
       setIsLoading(true);
-      const currentConfig = await apiService.getStorageConfig();
+      const currentConfig = await apiService.getStorageConfig({ signal });
       setConfig(currentConfig);
     } catch (error) {
-      console.error('Failed to load storage configuration:', error);
-    } finally {
-      setIsLoading(false);
+      if (isCancelled(error)) {
+        return;
+      }
+      setSaveMessage(`Failed to load current settings: ${error.message}`);
     }
+    setIsLoading(false);
   };
 
   const handleInputChange = (field, value) => {
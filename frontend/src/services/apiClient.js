@@ -0,0 +1,120 @@
+import axios from 'axios';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || '';
+
+// GETs are safe to repeat, so they are retried on network errors and gateway failures
+const MAX_GET_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+// Error thrown by every API call: carries the HTTP status, an error code and the response body
+export class ApiError extends Error {
+  constructor(message, { status = null, code = null, body = null, method = null, url = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.body = body;
+    this.method = method;
+    this.url = url;
+  }
+
+  // True when the caller aborted the request; components should ignore these
+  get cancelled() {
+    return this.code === 'ERR_CANCELED';
+  }
+}
+
+export const isCancelled = (error) => error instanceof ApiError && error.cancelled;
+
+// Picks the most useful message from a server response body: plain text, or a ProblemDetails object
+const messageFromBody = (body) => {
+  if (typeof body === 'string') {
+    return body.trim() || null;
+  }
+  if (body && typeof body === 'object') {
+    return body.detail || body.title || body.message || body.error || null;
+  }
+  return null;
+};
+
+const toApiError = (error) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  const { config = {}, response } = error;
+  const details = {
+    status: response?.status ?? null,
+    code: axios.isCancel(error) ? 'ERR_CANCELED' : (error.code || null),
+    body: response?.data ?? null,
+    method: config.method ? config.method.toUpperCase() : null,
+    url: config.url || null
+  };
+
+  let message;
+  if (details.code === 'ERR_CANCELED') {
+    message = 'Request was cancelled';
+  } else if (!response) {
+    message = `${config.errorMessage || 'Request failed'}: the server could not be reached`;
+  } else {
+    message = messageFromBody(response.data) || config.errorMessage || `Request failed with status ${response.status}`;
+  }
+  return new ApiError(message, details);
+};
+
+const shouldRetry = (error) => {
+  const { config } = error;
+  if (!config || config.method !== 'get' || axios.isCancel(error) || config.signal?.aborted) {
+    return false;
+  }
+  if ((config.retryCount || 0) >= (config.maxRetries ?? MAX_GET_RETRIES)) {
+    return false;
+  }
+  return !error.response || RETRYABLE_STATUSES.includes(error.response.status);
+};
+
+// Waits before a retry, giving up early if the caller aborts in the meantime
+const retryDelay = (attempt, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new axios.CanceledError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, RETRY_BASE_DELAY_MS * 2 ** attempt);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Shared axios instance for the backend API. Pass { signal } from an AbortController to cancel a
+ * call, and { errorMessage } for the message used when the server does not send one.
+ */
+export const apiClient = axios.create({
+  baseURL: API_BASE_URL
+});
+
+apiClient.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    if (shouldRetry(error)) {
+      const { config } = error;
+      config.retryCount = (config.retryCount || 0) + 1;
+      console.warn(`API: retrying ${config.url} (attempt ${config.retryCount})`);
+      try {
+        await retryDelay(config.retryCount - 1, config.signal);
+      } catch (cancelled) {
+        throw toApiError(cancelled);
+      }
+      return apiClient(config);
+    }
+
+    const apiError = toApiError(error);
+    if (!apiError.cancelled) {
+      console.error(`API: ${apiError.method} ${apiError.url} failed:`, apiError.status ?? apiError.code, apiError.message);
+    }
+    throw apiError;
+  }
+);
+
+export default apiClient;
@@ -1,39 +1,40 @@
-import axios from 'axios';
+import apiClient, { ApiError, isCancelled } from './apiClient';
 
-const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || '';
+// Every service accepts an optional { signal } from an AbortController as its last argument.
+// Failures are thrown as ApiError, which keeps the HTTP status and the server's message.
 
 // Service to fetch company tickers from SEC via our backend
-export const fetchCompanyTickers = async () => {
-  try {
-    const response = await axios.get(`${API_BASE_URL}/companies`);
-    
-    // The response is an object with numeric keys, we need to convert it to an array
-    const companiesObject = response.data;
-    const companiesArray = Object.values(companiesObject).map(company => ({
-      cik: company.cik_str,
-      ticker: company.ticker,
-      title: company.title
-    }));
-    
-    return companiesArray;
-  } catch (error) {
-    console.error('Error fetching company tickers:', error);
-    throw new Error('Failed to fetch company data from SEC');
-  }
+export const fetchCompanyTickers = async ({ signal } = {}) => {
+  const response = await apiClient.get('/companies', {
+    signal,
+    errorMessage: 'Failed to fetch company data from SEC'
+  });
+
+  // The response is an object with numeric keys, we need to convert it to an array
+  const companiesObject = response.data;
+  const companiesArray = Object.values(companiesObject).map(company => ({
+    cik: company.cik_str,
+    ticker: company.ticker,
+    title: company.title
+  }));
+
+  return companiesArray;
 };
 
 // Service to fetch previously crawled companies
-export const fetchCrawledCompanies = async (connectionId = null) => {
+export const fetchCrawledCompanies = async (connectionId = null, { signal } = {}) => {
   try {
-    const url = connectionId 
-      ? `${API_BASE_URL}/crawled-companies?connectionId=${encodeURIComponent(connectionId)}`
-      : `${API_BASE_URL}/crawled-companies`;
-    
     console.log('API Service: Fetching crawled companies for connection:', connectionId);
-    const response = await axios.get(url);
+    const response = await apiClient.get('/crawled-companies', {
+      params: connectionId ? { connectionId } : undefined,
+      signal,
+      errorMessage: 'Failed to fetch crawled companies'
+    });
     return response.data;
   } catch (error) {
-    console.error('Error fetching crawled companies:', error);
+    if (isCancelled(error)) {
+      throw error;
+    }
     // Don't throw error - this is optional data
     return {
       lastCrawlDate: null,
@@ -44,256 +45,256 @@ export const fetchCrawledCompanies = async (connectionId = null) => {
   }
 };
 
-// Service to trigger the crawl process
-export const triggerCrawl = async (selectedCompanies, connectionId = null) => {
-  try {
-    console.log('API Service: Triggering crawl for companies:', selectedCompanies);
-    console.log('API Service: connectionId parameter:', connectionId);
-    
-    // Use the new endpoint if connectionId is provided
-    const endpoint = connectionId ? '/loadcontent-to-connection' : '/loadcontent';
-    const payload = connectionId 
-      ? { companies: selectedCompanies, connectionId: connectionId }
-      : { companies: selectedCompanies };
-    
-    console.log('API Service: Using endpoint:', endpoint);
-    console.log('API Service: Payload:', JSON.stringify(payload, null, 2));
-      
-    const response = await axios.post(`${API_BASE_URL}${endpoint}`, payload);
-    
-    console.log('Crawl response:', response.data);
-    return response.data;
-  } catch (error) {
-    console.error('Error triggering crawl:', error);
-    throw new Error('Failed to trigger crawl process');
+// Body of a crawl or preview request; crawlOptions (formTypes, fromDate, toDate, maxFilingsPerCompany)
+// override the saved data collection settings for this crawl only
+const crawlPayload = (selectedCompanies, connectionId, crawlOptions) => {
+  const payload = connectionId
+    ? { companies: selectedCompanies, connectionId: connectionId }
+    : { companies: selectedCompanies };
+  if (crawlOptions) {
+    payload.options = crawlOptions;
   }
+  return payload;
+};
+
+// Service to trigger the crawl process; resolves with the queued crawl job
+export const triggerCrawl = async (selectedCompanies, connectionId = null, crawlOptions = null, { signal } = {}) => {
+  console.log('API Service: Triggering crawl for companies:', selectedCompanies);
+  console.log('API Service: connectionId parameter:', connectionId);
+
+  // Use the new endpoint if connectionId is provided
+  const endpoint = connectionId ? '/loadcontent-to-connection' : '/loadcontent';
+  const payload = crawlPayload(selectedCompanies, connectionId, crawlOptions);
+
+  const response = await apiClient.post(endpoint, payload, {
+    signal,
+    errorMessage: 'Failed to trigger crawl process'
+  });
+
+  console.log('Crawl response:', response.data);
+  return response.data.job;
 };
 
-// Service to trigger recrawl of all previously crawled companies
-export const triggerRecrawlAll = async (connectionId = null) => {
+// Service to trigger recrawl of all previously crawled companies; resolves with the queued crawl job
+export const triggerRecrawlAll = async (connectionId = null, { signal } = {}) => {
+  console.log('API Service: Starting triggerRecrawlAll request');
+  console.log('API Service: connectionId parameter:', connectionId);
+
+  // Send connectionId in the request body if provided
+  const payload = connectionId ? { connectionId } : {};
+
   try {
-    console.log('API Service: Starting triggerRecrawlAll request');
-    console.log('API Service: connectionId parameter:', connectionId);
-    console.log('API Service: Making POST request to:', `${API_BASE_URL}/recrawl-all`);
-    
-    // Send connectionId in the request body if provided
-    const payload = connectionId ? { connectionId } : {};
-    console.log('API Service: Recrawl payload:', JSON.stringify(payload, null, 2));
-    
-    const response = await axios.post(`${API_BASE_URL}/recrawl-all`, payload);
-    
+    const response = await apiClient.post('/recrawl-all', payload, {
+      signal,
+      errorMessage: 'Failed to trigger recrawl process'
+    });
     console.log('API Service: Recrawl response received:', response.data);
-    console.log('API Service: Response status:', response.status);
-    return response.data;
+    return response.data.job;
   } catch (error) {
-    console.error('API Service: Error triggering recrawl:', error);
-    console.error('API Service: Error response:', error.response);
-    if (error.response?.status === 400) {
-      throw new Error('No previously crawled companies found. Please crawl companies first.');
+    if (error.status === 400) {
+      throw new ApiError('No previously crawled companies found. Please crawl companies first.', error);
     }
-    throw new Error('Failed to trigger recrawl process');
+    throw error;
   }
 };
 
+// Dry run of triggerCrawl: the filings the crawl would fetch with the current data collection settings or crawlOptions
+export const previewCrawl = async (selectedCompanies, connectionId = null, crawlOptions = null, { signal } = {}) => {
+  const payload = crawlPayload(selectedCompanies, connectionId, crawlOptions);
+  const response = await apiClient.post('/crawl-preview', payload, {
+    signal,
+    errorMessage: 'Failed to preview crawl'
+  });
+  return response.data;
+};
+
+// Crawl jobs: every crawl, recrawl and retry is a job that can be cancelled, paused and resumed
+export const fetchCrawlJobs = async ({ signal } = {}) => {
+  const response = await apiClient.get('/crawl-jobs', { signal, errorMessage: 'Failed to fetch crawl jobs' });
+  return response.data;
+};
+
+export const getCrawlJob = async (jobId, { signal } = {}) => {
+  const response = await apiClient.get(`/crawl-jobs/${encodeURIComponent(jobId)}`, { signal, errorMessage: 'Failed to fetch crawl job' });
+  return response.data;
+};
+
+// Runs 'cancel', 'pause', 'resume' or 'retry-failed' on a job; retry-failed resolves with the new retry job
+const controlCrawlJob = async (jobId, action, { signal } = {}) => {
+  const response = await apiClient.post(`/crawl-jobs/${encodeURIComponent(jobId)}/${action}`, null, {
+    signal,
+    errorMessage: `Failed to ${action.replace('-', ' ')} crawl job`
+  });
+  return response.data;
+};
+
+export const cancelCrawlJob = (jobId, options) => controlCrawlJob(jobId, 'cancel', options);
+
+export const pauseCrawlJob = (jobId, options) => controlCrawlJob(jobId, 'pause', options);
+
+export const resumeCrawlJob = (jobId, options) => controlCrawlJob(jobId, 'resume', options);
+
+export const retryFailedCrawlJob = (jobId, options) => controlCrawlJob(jobId, 'retry-failed', options);
+
 // Service to provision connection
-export const provisionConnection = async (tenantId) => {
-  try {
-    const response = await axios.post(`${API_BASE_URL}/provisionconnection`, tenantId, {
-      headers: {
-        'Content-Type': 'text/plain'
-      }
-    });
-    
-    return response.data;
-  } catch (error) {
-    console.error('Error provisioning connection:', error);
-    throw new Error('Failed to provision connection');
-  }
+export const provisionConnection = async (tenantId, { signal } = {}) => {
+  const response = await apiClient.post('/provisionconnection', tenantId, {
+    headers: {
+      'Content-Type': 'text/plain'
+    },
+    signal,
+    errorMessage: 'Failed to provision connection'
+  });
+  return response.data;
 };
 
-// Service to check crawl status (if needed)
-export const getCrawlStatus = async () => {
-  try {
-    const response = await axios.get(`${API_BASE_URL}/crawl-status`);
-    return response.data;
-  } catch (error) {
-    console.error('Error getting crawl status:', error);
-    throw new Error('Failed to get crawl status');
-  }
+// Service to check crawl status
+export const getCrawlStatus = async ({ signal } = {}) => {
+  const response = await apiClient.get('/crawl-status', { signal, errorMessage: 'Failed to get crawl status' });
+  return response.data;
+};
+
+/**
+ * Subscribes to live crawl progress over server-sent events. onProgress receives every snapshot
+ * (null until a crawl has run). onError receives the error and whether the stream is closed for
+ * good; otherwise the browser reconnects by itself or the bad event was skipped. Returns a function
+ * that closes the stream.
+ */
+export const subscribeToCrawlProgress = (onProgress, onError) => {
+  const source = new EventSource(`${apiClient.defaults.baseURL}/crawl-status/events`);
+  const reportError = (error) => {
+    if (onError) {
+      onError(error, source.readyState === EventSource.CLOSED);
+    }
+  };
+  source.addEventListener('progress', (event) => {
+    let progress;
+    try {
+      progress = JSON.parse(event.data);
+    } catch (err) {
+      reportError(err);
+      return;
+    }
+    onProgress(progress);
+  });
+  source.onerror = reportError;
+  return () => source.close();
 };
 
 // Storage Configuration Services
-export const getStorageConfig = async () => {
-  try {
-    const response = await axios.get(`${API_BASE_URL}/storage-config`);
-    return response.data;
-  } catch (error) {
-    console.error('Error getting storage configuration:', error);
-    throw new Error('Failed to get storage configuration');
-  }
+export const getStorageConfig = async ({ signal } = {}) => {
+  const response = await apiClient.get('/storage-config', { signal, errorMessage: 'Failed to get storage configuration' });
+  return response.data;
 };
 
-export const saveStorageConfig = async (config) => {
-  try {
-    const response = await axios.post(`${API_BASE_URL}/storage-config`, config);
-    return response.data;
-  } catch (error) {
-    console.error('Error saving storage configuration:', error);
-    throw new Error('Failed to save storage configuration');
-  }
+export const saveStorageConfig = async (config, { signal } = {}) => {
+  const response = await apiClient.post('/storage-config', config, { signal, errorMessage: 'Failed to save storage configuration' });
+  return response.data;
 };
 
-export const testStorageConfig = async (config) => {
-  try {
-    const response = await axios.post(`${API_BASE_URL}/storage-config/test`, config);
-    return response.data;
-  } catch (error) {
-    console.error('Error testing storage configuration:', error);
-    throw new Error('Failed to test storage configuration');
-  }
+export const testStorageConfig = async (config, { signal } = {}) => {
+  const response = await apiClient.post('/storage-config/test', config, { signal, errorMessage: 'Failed to test storage configuration' });
+  return response.data;
 };
 
-// New methods for crawl metrics
-export const getCrawlMetrics = async () => {
-  try {
-    const response = await axios.get(`${API_BASE_URL}/crawl-metrics`);
-    return response.data;
-  } catch (error) {
-    console.error('Error fetching crawl metrics:', error);
-    throw new Error('Failed to fetch crawl metrics');
-  }
+// Crawl metrics
+export const getCrawlMetrics = async ({ signal } = {}) => {
+  const response = await apiClient.get('/crawl-metrics', { signal, errorMessage: 'Failed to fetch crawl metrics' });
+  return response.data;
 };
 
-export const getCompanyCrawlMetrics = async (companyName) => {
-  try {
-    const response = await axios.get(`${API_BASE_URL}/crawl-metrics/${encodeURIComponent(companyName)}`);
-    return response.data;
-  } catch (error) {
-    console.error('Error fetching company crawl metrics:', error);
-    throw new Error('Failed to fetch company crawl metrics');
-  }
+export const getCompanyCrawlMetrics = async (companyName, { signal } = {}) => {
+  const response = await apiClient.get(`/crawl-metrics/${encodeURIComponent(companyName)}`, {
+    signal,
+    errorMessage: 'Failed to fetch company crawl metrics'
+  });
+  return response.data;
 };
 
-export const getCrawlErrors = async (companyName = null) => {
-  try {
-    const url = companyName 
-      ? `${API_BASE_URL}/crawl-errors?company=${encodeURIComponent(companyName)}`
-      : `${API_BASE_URL}/crawl-errors`;
-    const response = await axios.get(url);
-    return response.data;
-  } catch (error) {
-    console.error('Error fetching crawl errors:', error);
-    throw new Error('Failed to fetch crawl errors');
-  }
+export const getCrawlErrors = async (companyName = null, { signal } = {}) => {
+  const response = await apiClient.get('/crawl-errors', {
+    params: companyName ? { company: companyName } : undefined,
+    signal,
+    errorMessage: 'Failed to fetch crawl errors'
+  });
+  return response.data;
 };
 
 // Data Collection Configuration methods
-export const getDataCollectionConfig = async () => {
-  try {
-    const response = await axios.get(`${API_BASE_URL}/data-collection-config`);
-    return response.data;
-  } catch (error) {
-    console.error('Error fetching data collection config:', error);
-    throw new Error('Failed to fetch data collection config');
-  }
+export const getDataCollectionConfig = async ({ signal } = {}) => {
+  const response = await apiClient.get('/data-collection-config', { signal, errorMessage: 'Failed to fetch data collection config' });
+  return response.data;
 };
 
-export const saveDataCollectionConfig = async (config) => {
-  try {
-    const response = await axios.post(`${API_BASE_URL}/data-collection-config`, config);
-    return response.data;
-  } catch (error) {
-    console.error('Error saving data collection config:', error);
-    throw new Error('Failed to save data collection config');
-  }
+export const saveDataCollectionConfig = async (config, { signal } = {}) => {
+  const response = await apiClient.post('/data-collection-config', config, { signal, errorMessage: 'Failed to save data collection config' });
+  return response.data;
 };
 
 // Yearly metrics methods
-export const getYearlyMetrics = async () => {
-  try {
-    const response = await axios.get(`${API_BASE_URL}/crawl-metrics/yearly`);
-    return response.data;
-  } catch (error) {
-    console.error('Error fetching yearly metrics:', error);
-    throw new Error('Failed to fetch yearly metrics');
-  }
+export const getYearlyMetrics = async ({ signal } = {}) => {
+  const response = await apiClient.get('/crawl-metrics/yearly', { signal, errorMessage: 'Failed to fetch yearly metrics' });
+  return response.data;
 };
 
-export const getCompanyYearlyMetrics = async (companyName) => {
-  try {
-    const response = await axios.get(`${API_BASE_URL}/crawl-metrics/yearly/${encodeURIComponent(companyName)}`);
-    return response.data;
-  } catch (error) {
-    console.error('Error fetching company yearly metrics:', error);
-    throw new Error('Failed to fetch company yearly metrics');
-  }
+export const getCompanyYearlyMetrics = async (companyName, { signal } = {}) => {
+  const response = await apiClient.get(`/crawl-metrics/yearly/${encodeURIComponent(companyName)}`, {
+    signal,
+    errorMessage: 'Failed to fetch company yearly metrics'
+  });
+  return response.data;
 };
 
 // Service to get scheduler configuration
-export const getSchedulerConfig = async () => {
-  try {
-    console.log('API Service: Getting scheduler config');
-    const response = await axios.get(`${API_BASE_URL}/scheduler-config`);
-    console.log('API Service: Scheduler config response:', response.data);
-    return response.data;
-  } catch (error) {
-    console.error('API Service: Error getting scheduler config:', error);
-    throw new Error('Failed to get scheduler configuration');
-  }
+export const getSchedulerConfig = async ({ signal } = {}) => {
+  const response = await apiClient.get('/scheduler-config', { signal, errorMessage: 'Failed to get scheduler configuration' });
+  return response.data;
 };
 
 // Service to save scheduler configuration
-export const saveSchedulerConfig = async (config) => {
-  try {
-    console.log('API Service: Saving scheduler config:', config);
-    const response = await axios.post(`${API_BASE_URL}/scheduler-config`, config);
-    console.log('API Service: Scheduler config saved:', response.data);
-    return response.data;
-  } catch (error) {
-    console.error('API Service: Error saving scheduler config:', error);
-    throw new Error('Failed to save scheduler configuration');
-  }
+export const saveSchedulerConfig = async (config, { signal } = {}) => {
+  console.log('API Service: Saving scheduler config:', config);
+  const response = await apiClient.post('/scheduler-config', config, { signal, errorMessage: 'Failed to save scheduler configuration' });
+  return response.data;
 };
 
 // External Connection Management Services
-export const fetchExternalConnections = async () => {
-  try {
-    const response = await axios.get(`${API_BASE_URL}/external-connections`);
-    return response.data;
-  } catch (error) {
-    console.error('Error fetching external connections:', error);
-    throw new Error('Failed to fetch external connections');
-  }
+export const fetchExternalConnections = async ({ signal } = {}) => {
+  const response = await apiClient.get('/external-connections', { signal, errorMessage: 'Failed to fetch external connections' });
+  return response.data;
 };
 
-export const createExternalConnection = async (connectionData) => {
-  try {
-    const response = await axios.post(`${API_BASE_URL}/external-connections`, connectionData);
-    return response.data;
-  } catch (error) {
-    console.error('Error creating external connection:', error);
-    throw new Error(error.response?.data || 'Failed to create external connection');
-  }
+export const createExternalConnection = async (connectionData, { signal } = {}) => {
+  const response = await apiClient.post('/external-connections', connectionData, {
+    signal,
+    errorMessage: 'Failed to create external connection'
+  });
+  return response.data;
 };
 
-export const deleteExternalConnection = async (connectionId) => {
-  try {
-    await axios.delete(`${API_BASE_URL}/external-connections/${connectionId}`);
-  } catch (error) {
-    console.error('Error deleting external connection:', error);
-    throw new Error(error.response?.data || 'Failed to delete external connection');
-  }
+export const deleteExternalConnection = async (connectionId, { signal } = {}) => {
+  await apiClient.delete(`/external-connections/${encodeURIComponent(connectionId)}`, {
+    signal,
+    errorMessage: 'Failed to delete external connection'
+  });
 };
 
 // Export as default object for easier importing
 const apiService = {
-  get: axios.get,
-  post: axios.post,
   fetchCompanyTickers,
   fetchCrawledCompanies,
   triggerCrawl,
+  triggerRecrawlAll,
+  previewCrawl,
+  fetchCrawlJobs,
+  getCrawlJob,
+  cancelCrawlJob,
+  pauseCrawlJob,
+  resumeCrawlJob,
+  retryFailedCrawlJob,
   provisionConnection,
   getCrawlStatus,
+  subscribeToCrawlProgress,
   getStorageConfig,
   saveStorageConfig,
   testStorageConfig,
@@ -305,8 +306,11 @@ const apiService = {
   getYearlyMetrics,
   getCompanyYearlyMetrics,
   getSchedulerConfig,
-  saveSchedulerConfig
+  saveSchedulerConfig,
+  fetchExternalConnections,
+  createExternalConnection,
+  deleteExternalConnection
 };
 
-export { apiService };
+export { apiService, ApiError, isCancelled };
 export default apiService;
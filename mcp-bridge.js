@@ -5,117 +5,714 @@
  * This bridges Claude Desktop's stdio MCP protocol to your HTTP-based MCP server
  */
 
-const http = require('http');
 const readline = require('readline');
+const { USAGE, ConfigError, loadConfig } = require('./bridge/config');
+const {
+    ERROR_CODES,
+    createError,
+    httpStatusError,
+    isValidRequest,
+    replyId,
+    isNotification,
+    isResponse
+} = require('./bridge/jsonrpc');
+const { negotiateProtocolVersion } = require('./bridge/protocol');
+const { logger } = require('./bridge/logger');
+const { Upstream, createTransport } = require('./bridge/upstream');
+const { Doctor } = require('./bridge/doctor');
+const { ToolPolicy } = require('./bridge/policy');
+const { ResponseCache } = require('./bridge/cache');
+const { MessageWriter } = require('./bridge/writer');
+const { restBaseUrl, RestClient } = require('./bridge/rest');
+const { SyntheticResources } = require('./bridge/resources');
+const {
+    LIST_METHODS,
+    ROUTED_METHODS,
+    qualify,
+    splitQualified,
+    mergeListResults,
+    mergeCapabilities
+} = require('./bridge/routing');
+
+// After the drain deadline, abandoned requests get this long to unwind before the process exits
+const ABANDON_GRACE_MS = 1000;
 
 class MCPBridge {
-    constructor() {
-        this.serverUrl = 'http://localhost:5236';
-        //this.serverUrl = 'https://edgarconnector-hqfkbgatdaf6a0cz.northcentralus-01.azurewebsites.net';
-        this.setupIO();
+    /**
+     * @param {object} config Result of loadConfig()
+     * @param {object} [options]
+     * @param {stream.Readable} [options.input] Where Claude Desktop's messages arrive, stdin by default
+     * @param {stream.Writable} [options.output] Where responses are written, stdout by default
+     * @param {function} [options.createTransport] Builds the transport for each configured upstream
+     * @param {boolean} [options.handleSignals] Shut down on SIGINT/SIGTERM; the CLI turns this on
+     * @param {function} [options.exit] Receives the exit code once shutdown completes, process.exit by default
+     */
+    constructor(config, options = {}) {
+        this.config = config;
+        this.input = options.input || process.stdin;
+        this.exit = options.exit || process.exit;
+        const transportFor = options.createTransport || createTransport;
+        this.upstreams = config.upstreams.map((upstreamOptions) => {
+            const upstream = new Upstream({
+                name: upstreamOptions.name,
+                transport: transportFor(config, upstreamOptions),
+                config,
+                onServerMessage: (incoming) => this.relayFromServer(upstream, incoming),
+                resources: config.resources.enabled ? new SyntheticResources({
+                    rest: new RestClient({ ...config, ...upstreamOptions }),
+                    pollMs: config.resources.pollMs,
+                    onUpdated: uri => this.relayFromServer(upstream, {
+                        jsonrpc: "2.0",
+                        method: 'notifications/resources/updated',
+                        params: { uri }
+                    })
+                }) : null
+            });
+            return upstream;
+        });
+        this.upstreamsByName = new Map(this.upstreams.map(upstream => [upstream.name, upstream]));
+        // Named upstreams get namespaced tools; a single --url upstream is passed through untouched
+        this.namespaced = Boolean(this.upstreams[0].name);
+        this.policy = new ToolPolicy(config.policy);
+        this.toolListCount = 0;
+        this.cache = config.cache.enabled ? new ResponseCache(config.cache) : null;
+        // Requests the servers pushed to Claude Desktop, keyed by id, so the answer reaches the right upstream
+        this.serverRequests = new Map();
+        // Requests waiting on the server, keyed by JSON-RPC id, so they can be cancelled
+        this.inFlight = new Map();
+        // Every unfinished piece of work started by a client message, so shutdown can drain it
+        this.pending = new Set();
+        this.writer = new MessageWriter(options.output || process.stdout);
+        this.clientProtocolVersion = null;
+        this.protocolVersion = null;
+        this.shuttingDown = false;
+        this.shutdownPromise = null;
+        this.setupIO(Boolean(options.handleSignals));
     }
 
-    setupIO() {
-        // Create readline interface for stdin/stdout
+    setupIO(handleSignals) {
+        // One JSON-RPC message per input line
         this.rl = readline.createInterface({
-            input: process.stdin,
-            output: process.stdout,
+            input: this.input,
             terminal: false
         });
 
         // Handle incoming messages from Claude Desktop
         this.rl.on('line', (line) => {
+            if (!line.trim()) {
+                return;
+            }
+
+            let message;
             try {
-                if (line.trim()) {
-                    const message = JSON.parse(line);
-                    console.error(`Received from Claude: ${JSON.stringify(message)}`);
-                    
-                    // Ensure we have a valid ID - Claude Desktop requires this
-                    // Note: Don't use !message.id because 0 is a valid ID
-                    if (message.id === undefined || message.id === null) {
-                        message.id = Date.now().toString();
-                    }
-                    this.forwardToServer(message);
-                }
+                message = JSON.parse(line);
             } catch (error) {
-                console.error(`JSON parse error: ${error.message}`);
-                this.sendError('parse-error', 'Invalid JSON received', null);
+                logger.warn('JSON parse error', { error: error.message });
+                this.sendError('parse-error', 'Parse error: invalid JSON received', null);
+                return;
+            }
+            logger.debug('Received from Claude', { message });
+
+            if (Array.isArray(message)) {
+                this.track(this.forwardBatch(message));
+                return;
+            }
+
+            // Answers to requests the server pushed over an event stream
+            if (isResponse(message)) {
+                this.track(this.forwardOneWay(message));
+                return;
+            }
+
+            if (!isValidRequest(message)) {
+                this.sendError('invalid-request', 'Invalid Request', replyId(message));
+                return;
+            }
+
+            // Notifications never get a response, so they must not be given an id
+            if (isNotification(message)) {
+                this.track(this.handleNotification(message));
+                return;
             }
+
+            this.track(this.forwardToServer(message));
         });
 
-        // Handle process shutdown
-        process.on('SIGINT', () => {
-            this.rl.close();
-            process.exit(0);
+        // Nothing more to relay once Claude Desktop goes away
+        this.rl.on('close', () => {
+            this.shutdown('stdin closed');
         });
+
+        // Handle process shutdown; a second signal skips the drain
+        if (!handleSignals) {
+            return;
+        }
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+            process.on(signal, () => {
+                if (this.shuttingDown) {
+                    logger.warn('Second signal received, exiting without draining', { signal });
+                    this.exit(1);
+                    return;
+                }
+                this.shutdown(signal);
+            });
+        }
     }
 
-    async forwardToServer(message) {
-        const requestData = JSON.stringify(message);
-        
-        const options = {
-            hostname: 'localhost',
-            port: 5236,
-            path: '/mcp',
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(requestData)
-            }
-        };
+    track(promise) {
+        this.pending.add(promise);
+        const untrack = () => this.pending.delete(promise);
+        promise.then(untrack, untrack);
+    }
 
-        const req = http.request(options, (res) => {
-            let data = '';
-            
-            res.on('data', (chunk) => {
-                data += chunk;
-            });
-            
-            res.on('end', () => {
-                try {
-                    // Parse the JSON response
-                    const response = JSON.parse(data);
-                    
-                    // Fix protocol version if needed
-                    if (response.result && response.result.protocolVersion === "2024-11-05") {
-                        response.result.protocolVersion = "2025-06-18";
-                    }
-                    
-                    // Forward the response back to Claude Desktop
-                    console.log(JSON.stringify(response));
-                } catch (error) {
-                    console.error(`Error parsing server response: ${error.message}`);
-                    this.sendError('server-error', 'Invalid response from server', message.id);
+    // Notifications that only concern the bridge and are not forwarded upstream
+    handleNotification(message) {
+        switch (message.method) {
+            case 'notifications/cancelled':
+                return this.cancelRequest(message);
+            default:
+                return this.forwardOneWay(message);
+        }
+    }
+
+    // Relays a message the server initiated (progress, logging, requests) to Claude Desktop
+    relayFromServer(upstream, message) {
+        if (this.cache && /^notifications\/(\w+\/list_changed|resources\/updated)$/.test(message.method)) {
+            this.cache.invalidate(message.method);
+        }
+        if (this.namespaced) {
+            message = this.qualifyServerMessage(upstream, message);
+        }
+        logger.debug('Relaying server message', { ...upstream.logContext, message });
+        logger.capture({ type: 'server-message', ...upstream.logContext, message });
+        this.writeMessage(message);
+    }
+
+    // Remembers who asked when a server sends a request, and namespaces resource URIs
+    qualifyServerMessage(upstream, message) {
+        if (typeof message.method === 'string' && !isNotification(message)) {
+            this.serverRequests.set(message.id, upstream);
+        }
+        if (message.method === 'notifications/resources/updated' && typeof message.params?.uri === 'string') {
+            return { ...message, params: { ...message.params, uri: qualify(upstream.name, message.params.uri) } };
+        }
+        return message;
+    }
+
+    // Client answers go back to the upstream that asked; notifications go to every upstream
+    oneWayTargets(message) {
+        if (this.namespaced && isResponse(message)) {
+            const upstream = this.serverRequests.get(message.id);
+            this.serverRequests.delete(message.id);
+            return [upstream || this.upstreams[0]];
+        }
+        return this.upstreams;
+    }
+
+    // Fire-and-forget for notifications and client responses: a JSON body is discarded,
+    // but anything the server streams back is still relayed
+    async forwardOneWay(message) {
+        const label = message.method || `response to ${message.id}`;
+        logger.capture({ type: 'client-message', message });
+        await Promise.all(this.oneWayTargets(message).map(async (upstream) => {
+            try {
+                const { statusCode } = await upstream.call(message);
+                if (statusCode >= 400) {
+                    logger.warn('Server rejected one-way message', { ...upstream.logContext, message: label, status: statusCode });
                 }
+            } catch (error) {
+                logger.warn('Failed to forward one-way message', { ...upstream.logContext, message: label, error: error.message });
+            }
+        }));
+    }
+
+    // Aborts the matching upstream request; the server is told too so it can stop working on it
+    cancelRequest(message) {
+        const requestId = message.params?.requestId;
+        const entry = this.inFlight.get(requestId);
+        if (entry) {
+            logger.info('Cancelling request', {
+                id: requestId,
+                method: entry.method,
+                elapsedMs: Date.now() - entry.startedAt,
+                reason: message.params?.reason
             });
-        });
+            entry.controller.abort();
+        } else {
+            logger.debug('Cancellation for unknown or finished request ignored', { id: requestId });
+        }
+        return this.forwardOneWay(message);
+    }
 
-        req.on('error', (error) => {
-            console.error(`Connection error: ${error.message}`);
-            this.sendError('connection-error', `Failed to connect to MCP server: ${error.message}`, message.id);
-        });
+    // Idle timeout for a request: per tool for tools/call, then per method, then the default
+    timeoutFor(message) {
+        const { defaultMs, methods } = this.config.timeouts;
+        if (message.method === 'tools/call') {
+            const toolTimeout = methods[`tools/call:${message.params?.name}`];
+            if (toolTimeout !== undefined) {
+                return toolTimeout;
+            }
+        }
+        return methods[message.method] ?? defaultMs;
+    }
+
+    async forwardToServer(message) {
+        const response = await this.requestFromServer(message);
+
+        // A cancelled request gets no response at all
+        if (response) {
+            // Forward the response back to Claude Desktop
+            this.writeMessage(response);
+        }
+    }
 
-        // Set a timeout for the request
-        req.setTimeout(30000, () => {
-            req.destroy();
-            this.sendError('timeout-error', 'Request to MCP server timed out', message.id);
+    // The backend only accepts single messages, so batches are split into parallel
+    // calls and the responses re-assembled in the order the requests arrived
+    async forwardBatch(batch) {
+        if (batch.length === 0) {
+            this.sendError('invalid-request', 'Invalid Request: empty batch', null);
+            return;
+        }
+
+        const pending = batch.map((item) => {
+            if (isResponse(item)) {
+                this.track(this.forwardOneWay(item));
+                return Promise.resolve(null);
+            }
+            if (!isValidRequest(item)) {
+                return Promise.resolve(this.createErrorResponse('invalid-request', 'Invalid Request', replyId(item)));
+            }
+            if (isNotification(item)) {
+                this.track(this.handleNotification(item));
+                return Promise.resolve(null);
+            }
+            return this.requestFromServer(item);
         });
 
-        req.write(requestData);
-        req.end();
+        const responses = (await Promise.all(pending)).filter(Boolean);
+
+        // A batch made only of notifications gets no reply at all
+        if (responses.length > 0) {
+            this.writeMessage(responses);
+        }
+    }
+
+    // Resolves with the JSON-RPC response for a single request, or null if the client cancelled it
+    async requestFromServer(message) {
+        const controller = new AbortController();
+        const startedAt = Date.now();
+        const entry = { controller, method: message.method, startedAt, abandoned: false };
+        this.inFlight.set(message.id, entry);
+
+        let response;
+        try {
+            response = await this.dispatch(message, controller.signal);
+        } finally {
+            if (this.inFlight.get(message.id) === entry) {
+                this.inFlight.delete(message.id);
+            }
+        }
+
+        // Aborted by shutdown rather than by the client, so the client is still owed an answer
+        if (!response && entry.abandoned) {
+            response = this.createErrorResponse('upstream-unavailable', 'Bridge shut down before the MCP server responded', message.id);
+        }
+
+        const durationMs = Date.now() - startedAt;
+        const summary = { id: message.id, method: message.method, durationMs };
+        if (message.method === 'tools/call') {
+            summary.tool = message.params?.name;
+        }
+        if (!response) {
+            logger.info('Request cancelled', summary);
+        } else if (response.error) {
+            logger.warn('Request failed', { ...summary, code: response.error.code, error: response.error.message });
+        } else {
+            logger.info('Request completed', summary);
+        }
+        logger.debug('Response to Claude', { id: message.id, response });
+        logger.capture({ type: 'exchange', durationMs, request: message, response: response || null, cancelled: !response });
+
+        return response;
+    }
+
+    // Applies the tool policy and the response cache around routing: disallowed calls never reach
+    // a server, disallowed tools are dropped from listings, and read-only results may come from cache
+    async dispatch(message, signal) {
+        if (message.method === 'tools/call') {
+            const tool = message.params?.name;
+            // Read-only mode judges tools by their annotations, so learn them if the client never listed
+            if (this.policy.readOnly && !this.policy.annotations.has(tool)) {
+                await this.loadToolAnnotations(signal);
+            }
+            const reason = this.policy.check(tool);
+            if (reason) {
+                logger.warn('Tool call blocked by policy', { id: message.id, tool, reason });
+                return this.createErrorResponse('tool-not-allowed', `Tool "${tool}" is not allowed: ${reason}`, message.id, { tool });
+            }
+        }
+
+        let response = this.cache?.get(message);
+        if (!response) {
+            response = await this.route(message, signal);
+            this.updateCache(message, response);
+        }
+
+        if (message.method === 'tools/list' && Array.isArray(response?.result?.tools)) {
+            this.rememberReadOnlyTools(response.result.tools);
+            response.result.tools = this.policy.filterTools(response.result.tools);
+        }
+        return response;
+    }
+
+    // Caches the response if its method has a TTL; a successful call to any other tool that is not
+    // known to be read-only (start_crawl, manage_connections, ...) may have changed what is cached
+    updateCache(message, response) {
+        if (!this.cache || !response?.result) {
+            return;
+        }
+        if (this.cache.ttlFor(message) > 0) {
+            this.cache.set(message, response);
+        } else if (message.method === 'tools/call'
+            && response.result.isError !== true
+            && this.policy.annotations.get(message.params?.name)?.readOnlyHint !== true) {
+            this.cache.invalidate(`tools/call ${message.params?.name}`);
+        }
+    }
+
+    async loadToolAnnotations(signal) {
+        const list = { jsonrpc: "2.0", id: `bridge-tools-list-${++this.toolListCount}`, method: 'tools/list' };
+        const response = await this.route(list, signal);
+        if (Array.isArray(response?.result?.tools)) {
+            this.rememberReadOnlyTools(response.result.tools);
+            this.policy.filterTools(response.result.tools);
+        }
+    }
+
+    // Tells each upstream which of its tools may be retried. Done here rather than per exchange so a
+    // tools/list answered from the cache counts too; namespaced names go to the upstream they name.
+    rememberReadOnlyTools(tools) {
+        if (!this.namespaced) {
+            this.upstreams[0].rememberReadOnlyTools(tools);
+            return;
+        }
+        for (const tool of tools) {
+            const target = splitQualified(tool.name);
+            const upstream = target && this.upstreamsByName.get(target.namespace);
+            if (upstream) {
+                upstream.rememberReadOnlyTools([{ ...tool, name: target.name }]);
+            }
+        }
     }
 
-    sendError(code, message, id) {
-        const errorResponse = {
+    // Picks the upstream(s) for a request. With named upstreams, list methods are fanned out and
+    // merged, and calls are routed by the namespace of the tool, prompt or resource.
+    async route(message, signal) {
+        if (message.method === 'initialize') {
+            return this.initialize(message, signal);
+        }
+        if (!this.namespaced) {
+            return this.exchange(this.upstreams[0], message, signal);
+        }
+
+        if (message.method === 'ping') {
+            return { jsonrpc: "2.0", id: message.id, result: {} };
+        }
+        if (LIST_METHODS[message.method]) {
+            return this.listAll(message, signal);
+        }
+        if (ROUTED_METHODS[message.method]) {
+            return this.routeByNamespace(message, ROUTED_METHODS[message.method], signal);
+        }
+        if (message.method === 'logging/setLevel') {
+            const responses = await this.fanOut(message, signal);
+            return responses && (responses.find(({ response }) => response.error) || responses[0]).response;
+        }
+
+        // Anything else has no namespace to route by, so the first upstream answers it
+        return this.exchange(this.upstreams[0], message, signal);
+    }
+
+    // Sends the same request to every upstream; null if the client cancelled it
+    async fanOut(message, signal) {
+        const responses = await Promise.all(this.upstreams.map(upstream => this.exchange(upstream, message, signal)));
+        if (responses.includes(null)) {
+            return null;
+        }
+        return responses.map((response, index) => ({ upstream: this.upstreams[index], response }));
+    }
+
+    // Upstreams that fail are left out so one broken tenant does not hide the others
+    succeeded(method, responses) {
+        for (const { upstream, response } of responses) {
+            if (response.error) {
+                logger.warn('Upstream left out of merged result', {
+                    ...upstream.logContext,
+                    method,
+                    code: response.error.code,
+                    error: response.error.message
+                });
+            }
+        }
+        return responses.filter(({ response }) => response.result);
+    }
+
+    async initialize(message, signal) {
+        const negotiated = this.negotiate(message);
+        if (negotiated.error) {
+            return {
+                jsonrpc: "2.0",
+                id: message.id,
+                error: { code: ERROR_CODES.INVALID_PARAMS, ...negotiated.error }
+            };
+        }
+
+        // Upstream only ever sees a version the backend is known to support
+        message = { ...message, params: { ...message.params, protocolVersion: negotiated.version } };
+        for (const upstream of this.upstreams) {
+            upstream.beginInitialize(message.params);
+        }
+
+        const responses = await this.fanOut(message, signal);
+        if (!responses) {
+            return null;
+        }
+
+        const succeeded = this.succeeded(message.method, responses);
+        if (succeeded.length === 0) {
+            return responses[0].response;
+        }
+        this.protocolVersion = negotiated.version;
+        if (!this.namespaced) {
+            return succeeded[0].response;
+        }
+
+        return {
             jsonrpc: "2.0",
-            id: id,
-            error: {
-                code: -32603,
-                message: message,
-                data: { type: code }
+            id: message.id,
+            result: {
+                protocolVersion: negotiated.version,
+                capabilities: mergeCapabilities(succeeded.map(({ response }) => response.result.capabilities)),
+                serverInfo: {
+                    name: "edgar-processor-bridge",
+                    version: "1.0.0"
+                }
             }
         };
-        console.log(JSON.stringify(errorResponse));
+    }
+
+    async listAll(message, signal) {
+        const responses = await this.fanOut(message, signal);
+        if (!responses) {
+            return null;
+        }
+
+        const succeeded = this.succeeded(message.method, responses);
+        if (succeeded.length === 0) {
+            return responses[0].response;
+        }
+        return {
+            jsonrpc: "2.0",
+            id: message.id,
+            result: mergeListResults(message.method, succeeded.map(({ upstream, response }) => ({
+                namespace: upstream.name,
+                result: response.result
+            })))
+        };
+    }
+
+    // Strips the namespace from the routing param and sends the call to the upstream it names
+    async routeByNamespace(message, param, signal) {
+        const value = message.params?.[param];
+        const target = splitQualified(value);
+        const upstream = target && this.upstreamsByName.get(target.namespace);
+        if (!upstream) {
+            return this.createErrorResponse('invalid-params', `Unknown ${param} "${value}", expected <upstream>.<${param}>`, message.id, {
+                upstreams: [...this.upstreamsByName.keys()]
+            });
+        }
+
+        const routed = { ...message, params: { ...message.params, [param]: target.name } };
+        const response = await this.exchange(upstream, routed, signal);
+
+        if (message.method === 'resources/read' && Array.isArray(response?.result?.contents)) {
+            response.result.contents = response.result.contents.map(content => ({
+                ...content,
+                uri: typeof content.uri === 'string' ? qualify(upstream.name, content.uri) : content.uri
+            }));
+        }
+        return response;
+    }
+
+    // One request to one upstream. Failures become error objects. When the server answers with an
+    // event stream, everything except the matching response (progress, logging, server requests)
+    // is relayed as it arrives.
+    async exchange(upstream, message, signal) {
+        // edgar:// resources are served by the bridge from the REST API, not by the MCP server
+        if (upstream.resources?.handles(message)) {
+            const response = await upstream.resources.respond(message, { timeoutMs: this.timeoutFor(message), signal });
+            return signal.aborted ? null : response;
+        }
+
+        let streamedResponse = null;
+        const relay = (incoming) => {
+            if (isResponse(incoming) && incoming.id === message.id) {
+                streamedResponse = incoming;
+            } else {
+                this.relayFromServer(upstream, incoming);
+            }
+        };
+
+        let data;
+        let headers;
+        let statusCode;
+        try {
+            ({ body: data, headers, statusCode } = await upstream.call(message, relay, {
+                timeoutMs: this.timeoutFor(message),
+                signal
+            }));
+        } catch (error) {
+            if (signal.aborted) {
+                return null;
+            }
+            if (error.code === 'ECIRCUITOPEN') {
+                return this.createErrorResponse('circuit-open', error.message, message.id);
+            }
+            if (error.code === 'ETIMEDOUT') {
+                return this.createErrorResponse('timeout-error', `Request to MCP server timed out after ${this.timeoutFor(message)}ms`, message.id);
+            }
+            logger.error('Connection error', { ...upstream.logContext, method: message.method, error: error.message });
+            return this.createErrorResponse('connection-error', `Failed to connect to MCP server: ${error.message}`, message.id);
+        }
+
+        let response;
+        if (data === null) {
+            if (!streamedResponse) {
+                logger.warn('Event stream closed without a response', { ...upstream.logContext, id: message.id, method: message.method });
+                return this.createErrorResponse('server-error', 'Event stream closed before a response was received', message.id);
+            }
+            response = streamedResponse;
+        } else {
+            let parsed;
+            try {
+                // Parse the JSON response
+                parsed = JSON.parse(data);
+            } catch (error) {
+                parsed = undefined;
+            }
+
+            // A JSON-RPC error from the server is passed through untouched, whatever the HTTP status
+            if (isResponse(parsed)) {
+                response = parsed;
+            } else if (statusCode >= 400) {
+                logger.warn('Server answered with an HTTP error', { ...upstream.logContext, method: message.method, status: statusCode });
+                return httpStatusError(statusCode, headers, data, message.id);
+            } else {
+                logger.warn('Invalid response from server', { ...upstream.logContext, method: message.method, status: statusCode });
+                return this.createErrorResponse('server-error', 'Invalid response from server', message.id, {
+                    status: statusCode,
+                    body: data ? data.slice(0, 4096) : undefined
+                });
+            }
+        }
+
+        // initialize was sent with the negotiated version, which is what the client gets back
+        if (message.method === 'initialize' && response.result) {
+            const negotiatedVersion = message.params.protocolVersion;
+            if (response.result.protocolVersion !== negotiatedVersion) {
+                logger.info('Overriding server protocol version with negotiated one', {
+                    ...upstream.logContext,
+                    server: response.result.protocolVersion,
+                    negotiated: negotiatedVersion
+                });
+            }
+            response.result.protocolVersion = negotiatedVersion;
+            upstream.startSession(negotiatedVersion, headers['mcp-session-id']);
+        }
+
+        return upstream.resources ? upstream.resources.extend(message, response) : response;
+    }
+
+    // Ordered shutdown: stop reading, let pending work finish up to the drain deadline, end the
+    // upstream sessions, then flush stdout and the capture file before exiting
+    shutdown(reason, exitCode = 0) {
+        if (this.shuttingDown) {
+            return this.shutdownPromise;
+        }
+        this.shuttingDown = true;
+        logger.info('Shutting down', { reason, pending: this.pending.size });
+        this.rl.close();
+
+        this.shutdownPromise = (async () => {
+            const drained = await this.waitForPending(this.config.shutdown.drainMs);
+            if (!drained) {
+                logger.warn('Drain deadline passed, abandoning pending requests', {
+                    drainMs: this.config.shutdown.drainMs,
+                    pending: this.inFlight.size
+                });
+                for (const entry of this.inFlight.values()) {
+                    entry.abandoned = true;
+                    entry.controller.abort();
+                }
+                await this.waitForPending(ABANDON_GRACE_MS);
+            }
+
+            await this.endSessions();
+            await this.writer.flush();
+            await logger.close();
+            this.exit(exitCode);
+        })();
+        return this.shutdownPromise;
+    }
+
+    // Resolves true once all tracked work has settled, or false when the deadline passes first
+    async waitForPending(ms) {
+        let timer;
+        const deadline = new Promise(resolve => {
+            timer = setTimeout(resolve, ms);
+        });
+        await Promise.race([Promise.allSettled([...this.pending]), deadline]);
+        clearTimeout(timer);
+        return this.pending.size === 0;
+    }
+
+    // Stops listening and ends the upstream sessions
+    endSessions() {
+        if (this.cache) {
+            this.cache.save();
+            logger.info('Response cache stats', this.cache.stats());
+        }
+        return Promise.all(this.upstreams.map(upstream => upstream.endSession()));
+    }
+
+    // Records the client's requested version and decides what this session will speak
+    negotiate(message) {
+        const requested = message.params?.protocolVersion;
+        this.clientProtocolVersion = requested === undefined ? null : requested;
+
+        const result = negotiateProtocolVersion(requested, this.config.protocolVersions);
+        if (result.error) {
+            logger.warn('Protocol negotiation failed', {
+                requested: requested === undefined ? null : requested,
+                supported: this.config.protocolVersions
+            });
+        } else {
+            logger.info('Protocol negotiated', { requested, version: result.version, reason: result.reason });
+        }
+        return result;
+    }
+
+    createErrorResponse(type, message, id, data) {
+        return createError(type, message, id, data);
+    }
+
+    sendError(type, message, id, data) {
+        this.writeMessage(this.createErrorResponse(type, message, id, data));
+    }
+
+    // Every message for Claude Desktop goes out as a single line on stdout
+    writeMessage(message) {
+        this.writer.write(message);
     }
 
     sendResponse(id, result) {
@@ -124,41 +721,91 @@ class MCPBridge {
             id: id,
             result: result
         };
-        console.log(JSON.stringify(response));
+        this.writeMessage(response);
     }
 }
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-});
-
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', error);
-    process.exit(1);
-});
-
-// Start the bridge
-const bridge = new MCPBridge();
-
-// Send initial capabilities when started
-const initResponse = {
-    jsonrpc: "2.0",
-    id: "init",
-    result: {
-        protocolVersion: "2024-11-05",
-        capabilities: {
-            tools: {}
-        },
-        serverInfo: {
-            name: "edgar-processor-bridge",
-            version: "1.0.0"
+/**
+ * Command line entry point: resolves the configuration, then runs the bridge on stdio
+ * (or the --doctor report)
+ */
+function main(argv = process.argv.slice(2), env = process.env) {
+    let bridge = null;
+
+    // Handle unhandled promise rejections
+    process.on('unhandledRejection', (reason, promise) => {
+        logger.error('Unhandled rejection', { reason: reason instanceof Error ? reason.stack : String(reason) });
+    });
+
+    // Handle uncaught exceptions
+    process.on('uncaughtException', (error) => {
+        logger.error('Uncaught exception', { error: error.stack });
+        if (bridge) {
+            // Pending requests may still complete; the exit code reports the failure
+            bridge.shutdown('uncaught exception', 1);
+        } else {
+            process.exit(1);
         }
+    });
+
+    // Resolve the upstream target before touching stdio
+    let config;
+    try {
+        config = loadConfig(argv, env);
+    } catch (error) {
+        if (!(error instanceof ConfigError)) {
+            throw error;
+        }
+        console.error(`Configuration error: ${error.message}`);
+        console.error(USAGE);
+        process.exit(2);
+    }
+
+    if (config.help) {
+        console.error(USAGE);
+        process.exit(0);
     }
-};
 
-// Don't send init response automatically - wait for initialize call
-// console.log(JSON.stringify(initResponse));
+    logger.configure(config.logging);
 
-console.error('MCP Bridge started, forwarding to http://localhost:5236/mcp');
+    if (config.doctor) {
+        // The report goes to stdout; there is no MCP client on the other end in this mode
+        new Doctor(config).run().then(async (exitCode) => {
+            await logger.close();
+            process.exit(exitCode);
+        }).catch(async (error) => {
+            logger.error('Doctor failed', { error: error.stack });
+            await logger.close();
+            process.exit(1);
+        });
+        return;
+    }
+
+    // Start the bridge
+    bridge = new MCPBridge(config, { handleSignals: true });
+
+    if (config.replay) {
+        logger.info('MCP Bridge started in replay mode', { fixture: config.replay.file, exchanges: config.replay.exchanges.length });
+    } else if (config.native) {
+        logger.info('MCP Bridge started in native mode', {
+            upstreams: config.upstreams.map(({ name, url }) => `${name ? `${name}=` : ''}${restBaseUrl(url).href}`)
+        });
+    } else {
+        logger.info('MCP Bridge started', {
+            upstreams: config.upstreams.map(({ name, url }) => `${name ? `${name}=` : ''}${url.origin}${url.pathname}`)
+        });
+    }
+
+    if (bridge.policy.active) {
+        logger.info('Tool policy active', config.policy);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    MCPBridge,
+    main
+};